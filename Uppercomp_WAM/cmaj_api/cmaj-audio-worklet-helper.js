@@ -460,12 +460,21 @@ function registerWorkletProcessor (workletName, CmajorClass, hostDescription)
 }
 
 //==============================================================================
-async function connectToAudioIn (audioContext, node)
+/** Opens an audio input device and connects it to the given node.
+ *
+ *  @param {AudioContext} audioContext - a web audio AudioContext object
+ *  @param {AudioNode} node - the node that the input should be connected to
+ *  @param {string} [deviceId] - optionally, the ID of the input device to open, or undefined for the default
+ *  @returns {MediaStreamAudioSourceNode} the source node, or undefined if the input could not be opened.
+ *                                        Stop the tracks of its `mediaStream` to close the device.
+ */
+export async function connectToAudioIn (audioContext, node, deviceId)
 {
     try
     {
         const input = await navigator.mediaDevices.getUserMedia ({
             audio: {
+                deviceId: deviceId ? { exact: deviceId } : undefined,
                 echoCancellation: false,
                 noiseSuppression: false,
                 autoGainControl:  false,
@@ -480,6 +489,7 @@ async function connectToAudioIn (audioContext, node)
             throw new Error();
 
         source.connect (node);
+        return source;
     }
     catch (e)
     {
@@ -147,6 +147,7 @@ class PatchViewHolder extends HTMLElement
 
     disconnectedCallback()
     {
+        this.resizeObserver?.disconnect();
         this.resizeObserver = undefined;
         this.innerHTML = "";
     }
@@ -5,16 +5,430 @@
  * and adds a small margin in dbToY() so nothing is clipped.
  */
 
+import * as midi from './cmaj_api/cmaj-midi-helpers.js';
+import { factoryPresets } from './factory-presets.js';
+
 // --------------------------------------------------------------------
 // Meter / Color / Easing Definitions
 // --------------------------------------------------------------------
 const inputOutputDbMarkers = [-36, -30, -24, -18, -12, -6, 0, 6];
 const gainReductionDbMarkers = [0, -6, -12, -18, -24, -30, -36];
+const historyWindowsSeconds = [1, 5, 20];
+
+const meterDotCount = 24;
+
+// --------------------------------------------------------------------
+// Meter Mode Definitions
+// --------------------------------------------------------------------
+/**
+ * Input/output meter modes. Sample peak comes straight from the patch's
+ * inputMeter/outputMeter events; the others need the audio itself, read
+ * from an analyser tap (see MeterTap and setMeterSources()).
+ */
+const meterModes = {
+  peak:      { label: 'PEAK', unit: 'dB',   title: 'Sample peak' },
+  rms:       { label: 'RMS',  unit: 'dB',   title: 'RMS over 300 ms' },
+  momentary: { label: 'M',    unit: 'LUFS', title: 'EBU R128 momentary loudness (400 ms)' },
+  shortTerm: { label: 'S',    unit: 'LUFS', title: 'EBU R128 short-term loudness (3 s)' },
+  truePeak:  { label: 'TP',   unit: 'dBTP', title: 'True peak, 4x oversampled' }
+};
+const meterModeStorageKey = 'uppercomp.meterMode';
+const meterWindowSeconds = { rms: 0.3, momentary: 0.4, shortTerm: 3 };
+const peakHoldSeconds = 2;
+const meterFloorDb = -100;
+
+/** The BS.1770 K-weighting pre-filter as two biquads for a sample rate */
+function kWeightingFilters(sampleRate) {
+  // Stage 1: high shelf, about +4 dB above 1.5 kHz
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+  // Stage 2: high-pass at 38 Hz
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+  return [shelf, highPass];
+}
+
+/**
+ * Polyphase interpolation filter for 4x true-peak detection: a Hann-windowed
+ * sinc split into four phases of 12 taps, each normalized to unity gain.
+ */
+function truePeakPhases(factor = 4, tapsPerPhase = 12) {
+  const length = factor * tapsPerPhase;
+  const center = (length - 1) / 2;
+  const phases = [];
+  for (let p = 0; p < factor; p++) {
+    const taps = [];
+    for (let k = 0; k < tapsPerPhase; k++) {
+      const n = k * factor + p;
+      const x = (n - center) / factor;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      taps.push(sinc * (0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length)));
+    }
+    const sum = taps.reduce((a, b) => a + b, 0);
+    phases.push(taps.map(t => t / sum));
+  }
+  return phases;
+}
+
+function powerToDb(power, offset = 0) {
+  return power > 0 ? Math.max(meterFloorDb, offset + 10 * Math.log10(power)) : meterFloorDb;
+}
+
+/**
+ * Taps an AudioNode with a stereo pair of analysers and measures whatever
+ * arrived since the last read(): sample and true peak, RMS, and momentary
+ * and short-term loudness.
+ */
+class MeterTap {
+  constructor(source) {
+    this.source = source;
+    this.context = source.context;
+    this.sampleRate = this.context.sampleRate;
+    // A splitter's channel count and interpretation are fixed, so a gain node
+    // in front up-mixes a mono source to both sides
+    this.upmix = this.context.createGain();
+    this.upmix.channelCount = 2;
+    this.upmix.channelCountMode = 'explicit';
+    this.splitter = this.context.createChannelSplitter(2);
+    this.upmix.connect(this.splitter);
+    this.analysers = [0, 1].map(channel => {
+      const analyser = this.context.createAnalyser();
+      analyser.fftSize = 8192;
+      this.splitter.connect(analyser, channel);
+      return analyser;
+    });
+    source.connect(this.upmix);
+
+    this.buffer = new Float32Array(this.analysers[0].fftSize);
+    this.filters = kWeightingFilters(this.sampleRate);
+    this.phases = truePeakPhases();
+    this.channels = [0, 1].map(() => ({
+      filterState: this.filters.map(() => [0, 0, 0, 0]),   // x1, x2, y1, y2
+      history: new Float32Array(this.phases[0].length)      // newest first
+    }));
+    this.slices = [];      // { count, meanSquare, loudness } per read, newest last
+    this.lastTime = this.context.currentTime;
+    this.reading = { peak: meterFloorDb, truePeak: meterFloorDb, rms: meterFloorDb, momentary: meterFloorDb, shortTerm: meterFloorDb };
+  }
+
+  read() {
+    const now = this.context.currentTime;
+    const fresh = Math.min(this.buffer.length, Math.round((now - this.lastTime) * this.sampleRate));
+    if (fresh <= 0) return this.reading;
+    this.lastTime = now;
+
+    let peak = 0;
+    let truePeak = 0;
+    let sumSquares = 0;
+    let sumWeighted = 0;
+    this.analysers.forEach((analyser, channel) => {
+      analyser.getFloatTimeDomainData(this.buffer);
+      const state = this.channels[channel];
+      for (let i = this.buffer.length - fresh; i < this.buffer.length; i++) {
+        const x = this.buffer[i];
+        peak = Math.max(peak, Math.abs(x));
+        sumSquares += x * x;
+
+        let y = x;
+        this.filters.forEach(({ b, a }, stage) => {
+          const z = state.filterState[stage];
+          const out = b[0] * y + b[1] * z[0] + b[2] * z[1] - a[0] * z[2] - a[1] * z[3];
+          z[1] = z[0]; z[0] = y; z[3] = z[2]; z[2] = out;
+          y = out;
+        });
+        sumWeighted += y * y;
+
+        const history = state.history;
+        history.copyWithin(1, 0);
+        history[0] = x;
+        this.phases.forEach(taps => {
+          let interpolated = 0;
+          for (let k = 0; k < taps.length; k++) interpolated += taps[k] * history[k];
+          truePeak = Math.max(truePeak, Math.abs(interpolated));
+        });
+      }
+    });
+
+    // RMS averages the two channels; loudness sums them, as BS.1770 does
+    this.slices.push({ count: fresh, meanSquare: sumSquares / (2 * fresh), loudness: sumWeighted / fresh });
+    const keep = meterWindowSeconds.shortTerm * this.sampleRate;
+    let kept = 0;
+    for (let i = this.slices.length - 1; i >= 0; i--) {
+      kept += this.slices[i].count;
+      if (kept > keep + fresh) {
+        this.slices.splice(0, i);
+        break;
+      }
+    }
+
+    const windowed = (seconds, key) => {
+      const wanted = seconds * this.sampleRate;
+      let count = 0;
+      let total = 0;
+      for (let i = this.slices.length - 1; i >= 0 && count < wanted; i--) {
+        count += this.slices[i].count;
+        total += this.slices[i][key] * this.slices[i].count;
+      }
+      // Until a full window has been heard, the missing part counts as silence
+      return total / Math.max(count, wanted);
+    };
+
+    this.reading = {
+      peak: powerToDb(peak * peak),
+      truePeak: powerToDb(Math.max(peak, truePeak) ** 2),
+      rms: powerToDb(windowed(meterWindowSeconds.rms, 'meanSquare')),
+      momentary: powerToDb(windowed(meterWindowSeconds.momentary, 'loudness'), -0.691),
+      shortTerm: powerToDb(windowed(meterWindowSeconds.shortTerm, 'loudness'), -0.691)
+    };
+    return this.reading;
+  }
+
+  disconnect() {
+    try {
+      this.source.disconnect(this.upmix);
+    } catch (error) {
+      // Already disconnected
+    }
+    this.analysers.forEach(analyser => analyser.disconnect());
+    this.splitter.disconnect();
+    this.upmix.disconnect();
+  }
+}
+
+// --------------------------------------------------------------------
+// Saturation LED Definitions
+// --------------------------------------------------------------------
+/**
+ * The LED follows postSatMeter, the peak level out of the saturation stage
+ * in dB. That is a level, not the harmonic content the stage added: the
+ * patch reports nothing from before the stage to compare it with. The LED
+ * starts to glow at the threshold and is fully lit saturationLedRangeDb
+ * above it, and the readout shows the level itself. The options are kept
+ * per browser; see setSaturationLedOptions().
+ */
+const saturationLedDefaults = { threshold: 8.0, holdSeconds: 0.3, showLevel: false };
+const saturationLedStorageKey = 'uppercomp.saturationLed';
+const saturationLedRangeDb = 12;
+const saturationLedFallDbPerSecond = 24;
+const saturationThresholdRange = { min: -24, max: 24, step: 0.5 };
+const saturationLevelLimitDb = 24;   // the readout shows ">+24 dB" or "<-24 dB" beyond this
+
+/** Merges the usable fields of options into a copy of current */
+function mergeSaturationLedOptions(current, options) {
+  const result = { ...current };
+  if (!options || typeof options !== 'object') return result;
+  if (Number.isFinite(options.threshold)) {
+    result.threshold = Math.max(saturationThresholdRange.min,
+      Math.min(saturationThresholdRange.max, options.threshold));
+  }
+  if (Number.isFinite(options.holdSeconds)) result.holdSeconds = Math.max(0, options.holdSeconds);
+  if (typeof options.showLevel === 'boolean') result.showLevel = options.showLevel;
+  return result;
+}
+
+// --------------------------------------------------------------------
+// Sidechain Filter Definitions
+// --------------------------------------------------------------------
+/**
+ * The detector's high-pass, as measured: the patch's source isn't in this
+ * repository, so cmaj_Uppercomp.js was run offline on sines (ratio 20,
+ * threshold -60 dB, cutoff 1 kHz) and the change in gainReduction with the
+ * filter on was read off. It took 18.1, 12.3, 7.0, 3.1 and 1.1 dB off the
+ * detector at 125 Hz, 250 Hz, 500 Hz, 1 kHz and 2 kHz, within about 0.1 dB
+ * of a first-order high-pass: -3 dB at sidechainFreqIn, falling 6 dB per
+ * octave below it.
+ */
+function sidechainFilterResponseDb(frequency, cutoff) {
+  return 10 * Math.log10((frequency * frequency) / (frequency * frequency + cutoff * cutoff));
+}
+const sidechainPlotHz = { min: 20, max: 20000 };
+const sidechainPlotFloorDb = -30;
+/** How long the filter must stay put before a running audition follows it */
+const sidechainListenSettleMs = 150;
+
+// --------------------------------------------------------------------
+// Theme / Layout Definitions
+// --------------------------------------------------------------------
+/**
+ * Theme colors as [r, g, b]. Each is also a CSS custom property on the
+ * element, named after the key (greenColor is --green-color) and holding
+ * "r, g, b", so a page can restyle the GUI from its own stylesheet or
+ * through setTheme().
+ */
+const defaultTheme = {
+  offColor: [51, 51, 51],
+  greenColor: [76, 175, 80],
+  yellowColor: [255, 235, 59],
+  redColor: [255, 82, 82],
+  accentColor: [46, 125, 50],
+  ledColor: [255, 0, 0],
+  panelColor: [26, 26, 26],
+  backgroundColor: [38, 38, 38],
+  textColor: [221, 221, 221]
+};
+
+/** Element widths (CSS px) at which the compact and large layouts take over */
+const compactLayoutMaxWidth = 760;
+const largeLayoutMinWidth = 1500;
+
+/** greenColor -> --green-color */
+function themePropertyName(key) {
+  return `--${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+}
+
+/** Accepts [r, g, b], "#rgb", "#rrggbb", "rgb(r, g, b)" or "r, g, b" */
+function parseThemeColor(value) {
+  if (Array.isArray(value)) return value.length === 3 ? value.map(Number) : null;
+  const text = String(value).trim();
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+  }
+  const parts = text.replace(/^rgba?\(|\)$/g, '').split(',').map(Number);
+  return parts.length >= 3 && parts.slice(0, 3).every(Number.isFinite) ? parts.slice(0, 3) : null;
+}
+
+/** A theme color as a CSS color string */
+function colorString(color, alpha = 1) {
+  return alpha === 1 ? `rgb(${color.join(', ')})` : `rgba(${color.join(', ')}, ${alpha})`;
+}
+
+// --------------------------------------------------------------------
+// Knob Taper Definitions
+// --------------------------------------------------------------------
+/**
+ * How each knob's travel maps onto its range. Knobs not listed are linear.
+ *   log         equal travel per octave (the range must be above zero)
+ *   exponential position^skew, so the low end gets more of the travel
+ *   centered    like exponential, but on both sides of the middle, so a
+ *               bipolar control is finest around zero
+ */
+const knobTapers = {
+  sidechainFreqIn: { type: 'log' },
+  attackMsIn:      { type: 'exponential', skew: 2 },
+  releaseMsIn:     { type: 'exponential', skew: 2 },
+  lookaheadMsIn:   { type: 'exponential', skew: 2 },
+  ratioIn:         { type: 'exponential', skew: 1.5 },
+  inputGainIn:     { type: 'centered', skew: 1.5 },
+  outputGainIn:    { type: 'centered', skew: 1.5 }
+};
+const linearTaper = { type: 'linear' };
+
+/** Maps a value onto knob travel in the range 0..1 */
+function taperToPosition(taper, min, max, value) {
+  const t = Math.max(0, Math.min(1, (value - min) / (max - min)));
+  switch (taper.type) {
+    case 'log':
+      if (min <= 0) return t;
+      return Math.log(Math.max(value, min) / min) / Math.log(max / min);
+    case 'exponential':
+      return Math.pow(t, 1 / taper.skew);
+    case 'centered': {
+      const x = t * 2 - 1;
+      return (Math.sign(x) * Math.pow(Math.abs(x), 1 / taper.skew) + 1) / 2;
+    }
+    default:
+      return t;
+  }
+}
+
+/** Inverse of taperToPosition */
+function taperFromPosition(taper, min, max, position) {
+  const p = Math.max(0, Math.min(1, position));
+  switch (taper.type) {
+    case 'log':
+      if (min <= 0) return min + p * (max - min);
+      return min * Math.pow(max / min, p);
+    case 'exponential':
+      return min + Math.pow(p, taper.skew) * (max - min);
+    case 'centered': {
+      const x = p * 2 - 1;
+      return min + (Math.sign(x) * Math.pow(Math.abs(x), taper.skew) + 1) / 2 * (max - min);
+    }
+    default:
+      return min + p * (max - min);
+  }
+}
 
-const offColor = [51, 51, 51];
-const greenColor = [76, 175, 80];
-const yellowColor = [255, 235, 59];
-const redColor = [255, 82, 82];
+// --------------------------------------------------------------------
+// MIDI Learn Definitions
+// --------------------------------------------------------------------
+const midiMappingStorageKey = 'uppercomp.midiMappings';
+
+/**
+ * Controllers 0-31 can be paired with controller n + 32 carrying the low
+ * seven bits of a 14-bit value. A mapping switches to 14-bit the first time
+ * its LSB controller arrives.
+ */
+const midiLsbOffset = 32;
+
+/** Controllers 120-127 are channel mode messages, not controls */
+const midiControllerMax = 119;
+
+/** True for the controllers that carry a 14-bit value's low seven bits */
+function isMidiLsbController(controller) {
+  return controller >= midiLsbOffset && controller < midiLsbOffset * 2;
+}
+
+// --------------------------------------------------------------------
+// Undo Definitions
+// --------------------------------------------------------------------
+const undoLimit = 100;
+
+/**
+ * Wheel, keyboard and MIDI moves have no natural end, so they count as one
+ * gesture until the control has been left alone for this long.
+ */
+const gestureIdleMs = 500;
+
+// --------------------------------------------------------------------
+// Harmonic Editor Definitions
+// --------------------------------------------------------------------
+const harmonicCount = 20;
+/** The harmonicN_dB endpoints' range, until their annotations say otherwise */
+const harmonicMinDb = -100;
+const harmonicMaxDb = 100;
+const harmonicGridDb = [80, 40, 0, -40, -80];
+
+/** The patch's own harmonic profile (the endpoints' init values) */
+const harmonicDefaultProfile = [
+  0, -44, -21, -38, -37, -100, -36, -100, -42, -44,
+  -48, -65, -40, -62, -100, -50, -62, -53, -68, -59
+];
+
+/** Preset shapes: level in dB of harmonic n (1 = fundamental) */
+const harmonicShapes = {
+  default: n => harmonicDefaultProfile[n - 1],
+  odd: n => (n % 2 === 1 ? 20 * Math.log10(1 / n) : harmonicMinDb),
+  even: n => (n === 1 || n % 2 === 0 ? 20 * Math.log10(1 / n) : harmonicMinDb),
+  tape: n => (n === 1 ? 0 : (n % 2 === 1 ? -24 : -54) - 40 * Math.log10(n)),
+  tube: n => (n === 1 ? 0 : (n % 2 === 1 ? -30 : -14) - 30 * Math.log10(n))
+};
+
+// --------------------------------------------------------------------
+// Preset Definitions
+// --------------------------------------------------------------------
+const userPresetStorageKey = 'uppercomp.userPresets';
+
+/** True if a parsed JSON object looks like a preset: a name and a stored state */
+function isPreset(preset) {
+  return typeof preset?.name === 'string'
+    && Array.isArray(preset.state?.parameters)
+    && preset.state.parameters.every(p => typeof p?.name === 'string');
+}
 
 /** Easing for LED meter brightness transitions */
 function cubicEase(t) {
@@ -41,69 +455,184 @@ class UpperCompGUI extends HTMLElement {
     this.patchConnection = patchConnection;
 
     // Basic meter defaults
+    // Input and output also track the mode actually shown, a peak-hold
+    // level and a latched clip flag
     this.meters = {
       gainReduction: { value: 0, peak: 0 },
-      inputLevel:    { value: -36, peak: -36 },
-      outputLevel:   { value: -36, peak: -36 }
+      inputLevel:    { value: -36, peak: -36, mode: 'peak', hold: -36, holdUntil: 0, clipped: false },
+      outputLevel:   { value: -36, peak: -36, mode: 'peak', hold: -36, holdUntil: 0, clipped: false }
     };
     this.decayRate = 0.5; // dB per animation frame
+    this.meterMode = this.readMeterMode();
+    this.meterSources = { inputLevel: null, outputLevel: null };  // AudioNodes to tap
+    this.meterTaps = { inputLevel: null, outputLevel: null };
 
     // Waveform
     this.waveformCanvas = null;
     this.ctx = null;
-    this.waveformHistory = [];
-    this.historyLength = 30;
-    this.historyUpdateRate = 1;
-    this.frameCount = 0;
+    this.waveformHistory = [];       // { time, inputLevel, gainReduction, outputLevel }
+    this.historySeconds = 5;         // visible time window
     this.currentThresholdDb = -28.0; // Default threshold
+    this.view = 'levels';            // levels | curve | harmonics | history
+
+    // Theme and layout
+    this.colors = { ...defaultTheme };
+    this.layout = null;              // compact | regular | large
+
+    // Harmonic editor
+    this.harmonics = harmonicDefaultProfile.slice();
+    this.harmonicRange = { min: harmonicMinDb, max: harmonicMaxDb };
+    this.harmonicCanvas = null;
+    this.harmonicCtx = null;
+    this.harmonicDrag = null;
+    this.harmonicFocus = 0;        // bar edited from the keyboard
+    this.harmonicEditFrom = null;  // harmonic values when a drag or shape began
+
+    // Presets
+    this.userPresets = [];
+    this.currentPreset = null;     // { bank: 'factory' | 'user', index }
+    this.presetBaseline = null;    // parameter values right after loading it
+    this.parameterValues = {};
+
+    // MIDI learn
+    this.midiAccess = null;
+    this.midiMappings = {};        // param -> { channel, controller, highRes }
+    this.midiLearnParam = null;
+    this.midiLearnConflict = null; // { channel, controller, param } a learn was refused for
+    this.midiValues = {};          // param -> { msb, lsb } of a 14-bit controller
+
+    // Undo history: each entry holds the values before and after one gesture.
+    // A harmonic drag or shape is one entry covering every bar it changed.
+    this.undoHistory = [];         // { label, before: { param: value }, after }
+    this.undoPosition = 0;         // entries before this index are applied
+    this.gestures = {};            // param -> { from, record, timer }
+
+    // Saturation LED: the latest postSatMeter level and the held one it shows
+    this.saturationLed = this.readSaturationLedOptions();
+    this.saturation = { level: meterFloorDb, held: meterFloorDb, holdUntil: 0, lastTime: 0 };
+
+    // Sidechain plot and listen mode
+    this.sidechainCanvas = null;
+    this.sidechainCtx = null;
+    this.sidechainListening = false;
+    this.sidechainListenTimer = null;
+    this.sidechainAnnounced = null;   // the filter the page was last asked to play
+
+    // Listeners that must be removed on disconnect
+    this.viewInitialized = false;
+    this.endpointListeners = {};   // endpointID -> listener
+    this.documentListeners = [];   // [type, listener, options]
 
     // Insert the HTML
     this.innerHTML = this.getHTML();
   }
 
   connectedCallback() {
+    this.readTheme();
+
+    // Controls are wired up once. Later mounts only reattach to the patch,
+    // the document and the audio graph, which disconnectedCallback let go of.
+    if (!this.viewInitialized) {
+      this.initializeView();
+      this.viewInitialized = true;
+    }
+    this.setupPatchListeners();
+    this.addDocumentListeners();
+    this.requestInitialValues();
+    if (Object.keys(this.midiMappings).length) this.openMidi();
+    this.connectMeterTaps();
+
+    // Pick a layout for the space we have, and follow it as it changes
+    this.resizeObserver = new ResizeObserver(() => this.updateLayout());
+    this.resizeObserver.observe(this);
+    this.updateLayout();
+
+    // Start main animation loop
+    this.animationFrameRequest = requestAnimationFrame(() => this.animate());
+  }
+
+  disconnectedCallback() {
+    if (this.animationFrameRequest) {
+      cancelAnimationFrame(this.animationFrameRequest);
+      this.animationFrameRequest = null;
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+
+    // Close any gesture in flight so the host isn't left waiting for its end
+    this.stopKnobDrag();
+    this.endAllGestures();
+    if (this.midiLearnParam) this.cancelMidiLearn();
+    this.setSidechainListen(false);
+
+    this.removeDocumentListeners();
+    this.removePatchListeners();
+    this.closeMidi();
+    this.disconnectMeterTaps();
+  }
+
+  /** Wires up the element's own controls; these go away with the element */
+  initializeView() {
     this.initializeKnobs();
     this.initializeWaveform();
-    this.setupPatchListeners();
+    this.initializeHarmonicEditor();
+    this.setupViewTabs();
+    this.initializePresets();
+    this.initializeMidiLearn();
+    this.initializeUndo();
 
     // Handle toggle buttons
-    this.querySelectorAll('.toggle-button').forEach(button => {
+    this.querySelectorAll('.toggle-button[data-param]').forEach(button => {
       const param = button.dataset.param;
+      button.setAttribute('role', 'switch');
+      this.setToggleState(param, button.classList.contains('active'));
       button.addEventListener('click', () => {
-        const newState = !button.classList.contains('active');
-        button.classList.toggle('active', newState);
-        this.patchConnection.sendEventOrValue(param, newState);
+        this.setToggle(param, !button.classList.contains('active'));
       });
     });
 
-    // Request initial knob/toggle states
+    // Initialize meters with dB markers
+    this.initializeMetersWithMarkers();
+    this.initializeMeterModes();
+    this.initializeSaturationLed();
+    this.initializeSidechainTools();
+  }
+
+  /** Asks for every control's value, which may have moved while unmounted */
+  requestInitialValues() {
     Object.keys(this.knobs).forEach(param => {
       this.patchConnection.requestParameterValue(param);
     });
     this.patchConnection.requestParameterValue('enableLookAheadIn');
     this.patchConnection.requestParameterValue('sidechainFilterEnableIn');
+    for (let n = 1; n <= harmonicCount; n++) {
+      this.patchConnection.requestParameterValue(`harmonic${n}_dB`);
+    }
+  }
 
-    // Initialize meters with dB markers
-    this.initializeMetersWithMarkers();
-
-    // Position the saturation LED between the Saturation and Saturation Mix knobs
-    this.positionSaturationLed();
-    window.addEventListener('resize', () => this.positionSaturationLed());
-
-    // Start main animation loop
-    this.animationFrameRequest = requestAnimationFrame(() => this.animate());
+  /** Knob drags and MIDI-learn's Escape key are followed across the whole page */
+  addDocumentListeners() {
+    this.documentListeners = [
+      ['mousemove', e => this.handleKnobDrag(e)],
+      ['mouseup', () => this.stopKnobDrag()],
+      ['touchmove', e => this.handleKnobTouch(e), { passive: false }],
+      ['touchend', () => this.stopKnobDrag()],
+      ['keydown', e => {
+        if (e.key === 'Escape' && this.midiLearnParam) this.cancelMidiLearn();
+      }]
+    ];
+    this.documentListeners.forEach(([type, listener, options]) => {
+      document.addEventListener(type, listener, options);
+    });
   }
 
-  disconnectedCallback() {
-    if (this.animationFrameRequest) {
-      cancelAnimationFrame(this.animationFrameRequest);
-    }
-    if (this.paramListener) {
-      this.patchConnection.removeAllParameterListener(this.paramListener);
-    }
-    this.patchConnection.removeEndpointListener('gainReduction', this.gainReductionListener);
-    this.patchConnection.removeEndpointListener('inputMeter', this.inputMeterListener);
-    this.patchConnection.removeEndpointListener('outputMeter', this.outputMeterListener);
+  removeDocumentListeners() {
+    (this.documentListeners || []).forEach(([type, listener]) => {
+      document.removeEventListener(type, listener);
+    });
+    this.documentListeners = [];
   }
 
   // ------------------------------------------------------------------
@@ -112,58 +641,747 @@ class UpperCompGUI extends HTMLElement {
   setupPatchListeners() {
     // Listen for parameter updates
     this.paramListener = ({ endpointID, value }) => {
+      this.parameterValues[endpointID] = value;
+      this.updatePresetModified();
+      const harmonicIndex = this.getHarmonicIndex(endpointID);
+      if (harmonicIndex >= 0) {
+        if (this.gestures[endpointID]) return;
+        this.harmonics[harmonicIndex] = value;
+        this.drawHarmonics();
+        return;
+      }
       const knobObj = this.knobs[endpointID];
       if (!knobObj) return;
+      // Mid-gesture, this is the echo of a value we sent, and maybe an older
+      // one than the knob is already heading for
+      if (this.gestures[endpointID]) return;
       knobObj.targetValue = value;
       knobObj.currentValue = value;
+      knobObj.sentValue = value;
       this.updateKnobRotation(endpointID, value);
       this.updateKnobDisplayValue(endpointID, value);
 
       if (endpointID === 'thresholdDbIn') {
         this.currentThresholdDb = value;
-        this.drawWaveform();
+        this.drawVisualization();
       }
+      if (endpointID === 'sidechainFreqIn') this.sidechainChanged();
     };
     this.patchConnection.addAllParameterListener(this.paramListener);
 
-    // Meters
-    this.gainReductionListener = (value) => {
-      this.meters.gainReduction.value = value;
+    // Endpoint annotations give each knob its real range, default and step,
+    // and the harmonic editor its range
+    this.statusListener = (status) => {
+      (status?.details?.inputs || []).forEach(({ endpointID, annotation }) => {
+        if (this.getHarmonicIndex(endpointID) >= 0 && annotation) {
+          if (annotation.min !== undefined) this.harmonicRange.min = annotation.min;
+          if (annotation.max !== undefined) this.harmonicRange.max = annotation.max;
+          this.drawHarmonics();
+          return;
+        }
+        const knob = this.knobs[endpointID];
+        if (!knob || !annotation) return;
+        if (annotation.min !== undefined) knob.min = annotation.min;
+        if (annotation.max !== undefined) knob.max = annotation.max;
+        if (annotation.init !== undefined) knob.defaultValue = annotation.init;
+        if (annotation.step !== undefined) knob.step = annotation.step;
+        knob.element.setAttribute('aria-valuemin', knob.min);
+        knob.element.setAttribute('aria-valuemax', knob.max);
+      });
+    };
+    this.patchConnection.addStatusListener(this.statusListener);
+    this.patchConnection.requestStatusUpdate();
+
+    // Meters, toggle states and the post-saturation LED. Kept by endpoint
+    // so removePatchListeners() can hand back exactly these functions.
+    this.endpointListeners = {
+      gainReduction: (value) => {
+        this.meters.gainReduction.value = value;
+      },
+      inputMeter: (value) => {
+        this.meters.inputLevel.value = value;
+      },
+      outputMeter: (value) => {
+        this.meters.outputLevel.value = value;
+      },
+      enableLookAheadIn: (v) => {
+        this.setToggleState('enableLookAheadIn', v);
+      },
+      sidechainFilterEnableIn: (v) => {
+        this.setToggleState('sidechainFilterEnableIn', v);
+      },
+      postSatMeter: (value) => {
+        const saturation = this.saturation;
+        const now = performance.now();
+        saturation.level = value;
+        if (value >= saturation.held) {
+          saturation.held = value;
+          saturation.holdUntil = now + this.saturationLed.holdSeconds * 1000;
+        }
+      }
+    };
+    Object.entries(this.endpointListeners).forEach(([endpointID, listener]) => {
+      this.patchConnection.addEndpointListener(endpointID, listener);
+    });
+  }
+
+  removePatchListeners() {
+    if (this.paramListener) {
+      this.patchConnection.removeAllParameterListener(this.paramListener);
+      this.paramListener = null;
+    }
+    if (this.statusListener) {
+      this.patchConnection.removeStatusListener(this.statusListener);
+      this.statusListener = null;
+    }
+    Object.entries(this.endpointListeners || {}).forEach(([endpointID, listener]) => {
+      this.patchConnection.removeEndpointListener(endpointID, listener);
+    });
+    this.endpointListeners = {};
+  }
+
+  // ------------------------------------------------------------------
+  // Presets
+  // ------------------------------------------------------------------
+  initializePresets() {
+    this.userPresets = this.readUserPresets();
+    this.renderPresetSelect();
+
+    const select = this.querySelector('#presetSelect');
+    if (select) {
+      select.addEventListener('change', () => {
+        const [bank, index] = select.value.split(':');
+        this.loadPreset(bank, parseInt(index, 10));
+      });
+    }
+    const prev = this.querySelector('#presetPrev');
+    const next = this.querySelector('#presetNext');
+    if (prev) prev.addEventListener('click', () => this.stepPreset(-1));
+    if (next) next.addEventListener('click', () => this.stepPreset(1));
+
+    const save = this.querySelector('#presetSave');
+    if (save) save.addEventListener('click', () => this.saveUserPreset());
+
+    // The "more" menu runs the chosen action and snaps back to its title
+    const importInput = this.querySelector('#presetImportInput');
+    const menu = this.querySelector('#presetMenu');
+    const actions = {
+      rename: () => this.renameUserPreset(),
+      delete: () => this.deleteUserPreset(),
+      import: () => importInput && importInput.click(),
+      export: () => this.exportUserPresets()
+    };
+    if (menu) {
+      menu.addEventListener('change', () => {
+        const action = actions[menu.value];
+        menu.value = '';
+        if (action) action();
+      });
+    }
+    if (importInput) {
+      importInput.addEventListener('change', () => {
+        if (importInput.files.length) this.importUserPresets(importInput.files[0]);
+        importInput.value = '';
+      });
+    }
+
+    // Until a preset is loaded, compare against whatever the patch has now
+    this.capturePresetBaseline();
+  }
+
+  readUserPresets() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(userPresetStorageKey) || '[]');
+      return Array.isArray(stored) ? stored.filter(isPreset) : [];
+    } catch (error) {
+      console.warn('Could not read user presets:', error);
+      return [];
+    }
+  }
+
+  writeUserPresets() {
+    try {
+      localStorage.setItem(userPresetStorageKey, JSON.stringify(this.userPresets));
+    } catch (error) {
+      console.warn('Could not store user presets:', error);
+    }
+  }
+
+  getPresetList() {
+    return [
+      ...factoryPresets.map((preset, index) => ({ bank: 'factory', index, preset })),
+      ...this.userPresets.map((preset, index) => ({ bank: 'user', index, preset }))
+    ];
+  }
+
+  getCurrentPreset() {
+    if (!this.currentPreset) return null;
+    const { bank, index } = this.currentPreset;
+    return (bank === 'factory' ? factoryPresets : this.userPresets)[index] || null;
+  }
+
+  renderPresetSelect() {
+    const select = this.querySelector('#presetSelect');
+    if (!select) return;
+    const option = (value, text) => {
+      const el = document.createElement('option');
+      el.value = value;
+      el.textContent = text;
+      return el;
     };
-    this.patchConnection.addEndpointListener('gainReduction', this.gainReductionListener);
+    select.innerHTML = '';
+    if (!this.currentPreset) select.appendChild(option('', 'Current settings'));
+    const factoryGroup = document.createElement('optgroup');
+    factoryGroup.label = 'Factory';
+    factoryPresets.forEach((preset, i) => factoryGroup.appendChild(option(`factory:${i}`, preset.name)));
+    select.appendChild(factoryGroup);
+    if (this.userPresets.length) {
+      const userGroup = document.createElement('optgroup');
+      userGroup.label = 'User';
+      this.userPresets.forEach((preset, i) => userGroup.appendChild(option(`user:${i}`, preset.name)));
+      select.appendChild(userGroup);
+    }
+    select.value = this.currentPreset ? `${this.currentPreset.bank}:${this.currentPreset.index}` : '';
+
+    // Factory presets can't be renamed or deleted
+    const isUser = this.currentPreset?.bank === 'user';
+    this.querySelectorAll('#presetMenu option[value="rename"], #presetMenu option[value="delete"]')
+      .forEach(option => { option.disabled = !isUser; });
+  }
+
+  loadPreset(bank, index) {
+    const preset = (bank === 'factory' ? factoryPresets : this.userPresets)[index];
+    if (!preset) return;
+    this.currentPreset = { bank, index };
+    const before = { ...this.parameterValues };
+    this.patchConnection.sendFullStoredState(preset.state);
+    this.renderPresetSelect();
+    this.capturePresetBaseline(after => this.recordUndo(`Load "${preset.name}"`, before, after));
+  }
+
+  stepPreset(delta) {
+    const list = this.getPresetList();
+    const current = list.findIndex(({ bank, index }) =>
+      bank === this.currentPreset?.bank && index === this.currentPreset?.index);
+    const next = current < 0
+      ? (delta > 0 ? 0 : list.length - 1)
+      : (current + delta + list.length) % list.length;
+    this.loadPreset(list[next].bank, list[next].index);
+  }
+
+  /**
+   * Reads back the state the patch ended up with, which is what "modified"
+   * is measured against. The reply is queued behind any state just sent,
+   * so it already reflects a newly loaded preset.
+   */
+  capturePresetBaseline(onCaptured) {
+    this.patchConnection.requestFullStoredState(state => {
+      this.presetBaseline = {};
+      (state?.parameters || []).forEach(({ name, value }) => {
+        this.presetBaseline[name] = value;
+        this.parameterValues[name] = value;
+      });
+      this.updatePresetModified();
+      if (onCaptured) onCaptured(this.presetBaseline);
+    });
+  }
+
+  updatePresetModified() {
+    if (!this.presetBaseline) return;
+    const modified = Object.keys(this.presetBaseline).some(name => {
+      const a = this.presetBaseline[name];
+      const b = this.parameterValues[name];
+      if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) > 1e-4;
+      return a != null && b != null && a !== b;
+    });
+    const bar = this.querySelector('.preset-bar');
+    if (bar) bar.classList.toggle('modified', modified);
+  }
+
+  requestCurrentState() {
+    return new Promise(resolve => this.patchConnection.requestFullStoredState(resolve));
+  }
+
+  async saveUserPreset() {
+    const current = this.getCurrentPreset();
+    const name = prompt('Preset name:', current?.name || 'My Preset');
+    if (!name?.trim()) return;
+    const { values, parameters } = await this.requestCurrentState();
+    const preset = { name: name.trim(), state: { values, parameters } };
+    // Saving under an existing user preset's name overwrites it
+    let index = this.userPresets.findIndex(p => p.name === preset.name);
+    if (index >= 0) {
+      this.userPresets[index] = preset;
+    } else {
+      index = this.userPresets.push(preset) - 1;
+    }
+    this.writeUserPresets();
+    this.currentPreset = { bank: 'user', index };
+    this.renderPresetSelect();
+    this.capturePresetBaseline();
+  }
+
+  renameUserPreset() {
+    const preset = this.currentPreset?.bank === 'user' && this.getCurrentPreset();
+    if (!preset) return;
+    const name = prompt('Rename preset:', preset.name);
+    if (!name?.trim()) return;
+    preset.name = name.trim();
+    this.writeUserPresets();
+    this.renderPresetSelect();
+  }
+
+  deleteUserPreset() {
+    const preset = this.currentPreset?.bank === 'user' && this.getCurrentPreset();
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    this.userPresets.splice(this.currentPreset.index, 1);
+    this.writeUserPresets();
+    // The patch keeps its settings; they just no longer belong to a preset
+    this.currentPreset = null;
+    this.renderPresetSelect();
+  }
+
+  /**
+   * Downloads the user bank as JSON, or the current settings as a single
+   * preset if there are no user presets yet.
+   */
+  async exportUserPresets() {
+    let presets = this.userPresets;
+    if (!presets.length) {
+      const { values, parameters } = await this.requestCurrentState();
+      presets = [{ name: this.getCurrentPreset()?.name || 'Current settings', state: { values, parameters } }];
+    }
+    const json = JSON.stringify({ type: 'uppercomp-presets', presets }, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'Uppercomp presets.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /** Accepts an exported bank or a single preset object */
+  async importUserPresets(file) {
+    let imported = [];
+    try {
+      const json = JSON.parse(await file.text());
+      imported = (Array.isArray(json?.presets) ? json.presets : [json]).filter(isPreset);
+    } catch (error) {
+      console.error('Could not read preset file:', error);
+    }
+    if (!imported.length) {
+      alert(`${file.name} doesn't contain any Uppercomp presets.`);
+      return;
+    }
+    imported.forEach(preset => {
+      // Keep both presets when the names clash
+      let name = preset.name;
+      for (let n = 2; this.userPresets.some(p => p.name === name); n++) {
+        name = `${preset.name} (${n})`;
+      }
+      this.userPresets.push({ name, state: preset.state });
+    });
+    this.writeUserPresets();
+    this.loadPreset('user', this.userPresets.length - imported.length);
+  }
+
+  // ------------------------------------------------------------------
+  // MIDI learn
+  // ------------------------------------------------------------------
+  initializeMidiLearn() {
+    this.midiMappings = this.readMidiMappings();
+
+    // Right-click a control to learn, right-click it again while learning
+    // to forget its mapping. Escape cancels.
+    this.querySelectorAll('.knob, .toggle-button[data-param]').forEach(control => {
+      const param = control.dataset.param;
+      control.addEventListener('contextmenu', e => {
+        e.preventDefault();
+        if (this.midiLearnParam === param) {
+          delete this.midiMappings[param];
+          this.writeMidiMappings();
+          this.cancelMidiLearn();
+        } else {
+          this.startMidiLearn(param);
+        }
+      });
+    });
+    // connectedCallback only asks for MIDI access if there is something to drive
+    this.updateMidiLearnDisplay();
+  }
+
+  /**
+   * Reads the stored mappings, keeping only those for controls this GUI has,
+   * on a real channel and controller, and one control per controller.
+   */
+  readMidiMappings() {
+    let stored;
+    try {
+      stored = JSON.parse(localStorage.getItem(midiMappingStorageKey) || '{}');
+    } catch (error) {
+      console.warn('Could not read MIDI mappings:', error);
+      return {};
+    }
+    const params = new Set([...this.querySelectorAll('.knob, .toggle-button[data-param]')]
+      .map(control => control.dataset.param));
+    const mappings = {};
+    Object.entries(stored && typeof stored === 'object' ? stored : {}).forEach(([param, m]) => {
+      const valid = params.has(param)
+        && Number.isInteger(m?.channel) && m.channel >= 0 && m.channel <= 15
+        && Number.isInteger(m.controller) && m.controller >= 0 && m.controller <= midiControllerMax
+        && !this.findMidiMapping(m.channel, m.controller, mappings);
+      if (!valid) {
+        console.warn(`Ignoring stored MIDI mapping for ${param}:`, m);
+        return;
+      }
+      mappings[param] = {
+        channel: m.channel,
+        controller: m.controller,
+        highRes: m.highRes === true && m.controller < midiLsbOffset
+      };
+    });
+    return mappings;
+  }
+
+  /** The control mapped to a channel and controller, if any */
+  findMidiMapping(channel, controller, mappings = this.midiMappings) {
+    return Object.keys(mappings).find(param => {
+      const m = mappings[param];
+      return m.channel === channel && m.controller === controller;
+    });
+  }
+
+  writeMidiMappings() {
+    try {
+      localStorage.setItem(midiMappingStorageKey, JSON.stringify(this.midiMappings));
+    } catch (error) {
+      console.warn('Could not store MIDI mappings:', error);
+    }
+  }
+
+  async openMidi() {
+    if (this.midiAccess) return true;
+    if (!navigator.requestMIDIAccess) {
+      console.warn('Web MIDI is not available in this browser');
+      return false;
+    }
+    let access;
+    try {
+      access = await navigator.requestMIDIAccess();
+    } catch (error) {
+      console.warn('MIDI access was refused:', error);
+      return false;
+    }
+    // Unmounted, or opened by another caller, while the prompt was up
+    if (!this.isConnected || this.midiAccess) return !!this.midiAccess;
+    this.midiAccess = access;
+    this.midiMessageListener = e => this.handleMidiMessage(e.data);
+    this.midiStateListener = () => this.attachMidiInputs();
+    this.midiAccess.addEventListener('statechange', this.midiStateListener);
+    this.attachMidiInputs();
+    return true;
+  }
+
+  /** Listens to every connected input, including ones plugged in later */
+  attachMidiInputs() {
+    this.midiAccess.inputs.forEach(input => {
+      // Adding the same listener twice is a no-op
+      input.addEventListener('midimessage', this.midiMessageListener);
+    });
+  }
+
+  closeMidi() {
+    if (!this.midiAccess) return;
+    this.midiAccess.removeEventListener('statechange', this.midiStateListener);
+    this.midiAccess.inputs.forEach(input => {
+      input.removeEventListener('midimessage', this.midiMessageListener);
+    });
+    this.midiAccess = null;
+  }
+
+  async startMidiLearn(param) {
+    this.midiLearnParam = param;
+    this.midiLearnConflict = null;
+    this.updateMidiLearnDisplay();
+    if (!(await this.openMidi()) && this.midiLearnParam === param) {
+      this.cancelMidiLearn();
+    }
+  }
+
+  cancelMidiLearn() {
+    this.midiLearnParam = null;
+    this.midiLearnConflict = null;
+    this.updateMidiLearnDisplay();
+  }
+
+  handleMidiMessage(data) {
+    if (data.length < 3) return;
+    const message = (data[0] << 16) | (data[1] << 8) | data[2];
+    if (!midi.isController(message)) return;
+    const channel = midi.getChannel0to15(message);
+    const controller = midi.getControllerNumber(message);
+    const value = midi.getControllerValue(message);
+
+    if (this.midiLearnParam) {
+      // A 14-bit controller's LSB arrives right after its MSB; learn the MSB
+      if (isMidiLsbController(controller) || controller > midiControllerMax) return;
+      // One controller drives one control: a taken one is refused, and
+      // learning carries on until a free one moves
+      const owner = this.findMidiMapping(channel, controller);
+      if (owner && owner !== this.midiLearnParam) {
+        this.midiLearnConflict = { channel, controller, param: owner };
+        this.updateMidiLearnDisplay();
+        return;
+      }
+      this.midiMappings[this.midiLearnParam] = { channel, controller, highRes: false };
+      this.writeMidiMappings();
+      this.midiLearnParam = null;
+      this.midiLearnConflict = null;
+      this.updateMidiLearnDisplay();
+    }
+
+    Object.entries(this.midiMappings).forEach(([param, mapping]) => {
+      if (mapping.channel !== channel) return;
+      const held = this.midiValues[param] || (this.midiValues[param] = { msb: 0, lsb: 0 });
+      if (controller === mapping.controller) {
+        // As the MIDI spec says, a new MSB clears the LSB
+        held.msb = value;
+        held.lsb = 0;
+        this.applyMidiValue(param, mapping.highRes ? (value << 7) / 16383 : value / 127);
+      } else if (mapping.controller < midiLsbOffset && controller === mapping.controller + midiLsbOffset
+                 && !this.findMidiMapping(channel, controller)) {
+        // The pair's LSB, unless that controller drives a control of its own
+        if (!mapping.highRes) {
+          mapping.highRes = true;
+          this.writeMidiMappings();
+          this.updateMidiLearnDisplay();
+        }
+        held.lsb = value;
+        this.applyMidiValue(param, ((held.msb << 7) | held.lsb) / 16383);
+      }
+    });
+  }
+
+  /** Moves a control to a position 0..1 along its travel */
+  applyMidiValue(param, position) {
+    const knob = this.knobs[param];
+    if (knob) {
+      this.touchGesture(param);
+      this.setKnobTarget(param, this.knobValueAt(knob, position));
+      return;
+    }
+    const on = position >= 0.5;
+    const button = this.querySelector(`.toggle-button[data-param="${param}"]`);
+    if (button && button.classList.contains('active') !== on) {
+      this.setToggle(param, on);
+    }
+  }
+
+  /** Marks the control being learnt and lists each control's mapping in its tooltip */
+  updateMidiLearnDisplay() {
+    this.querySelectorAll('.knob, .toggle-button[data-param]').forEach(control => {
+      const param = control.dataset.param;
+      const mapping = this.midiMappings[param];
+      control.classList.toggle('midi-learning', param === this.midiLearnParam);
+      const conflict = this.midiLearnConflict;
+      control.title = param === this.midiLearnParam
+        ? (conflict
+          ? `MIDI CC ${conflict.controller}, channel ${conflict.channel + 1} already controls `
+            + `${this.describeControl(conflict.param)}; move another controller (Esc to cancel)`
+          : 'Move a MIDI controller to map it (right-click again to clear, Esc to cancel)')
+        : mapping
+          ? `MIDI CC ${mapping.controller}${mapping.highRes ? `/${mapping.controller + midiLsbOffset}` : ''}, channel ${mapping.channel + 1} (right-click to re-learn)`
+          : 'Right-click to MIDI learn';
+    });
+  }
+
+  // ------------------------------------------------------------------
+  // Gestures and undo
+  // ------------------------------------------------------------------
+  initializeUndo() {
+    const undoButton = this.querySelector('#undoButton');
+    const redoButton = this.querySelector('#redoButton');
+    if (undoButton) undoButton.addEventListener('click', () => this.undo());
+    if (redoButton) redoButton.addEventListener('click', () => this.redo());
+    const list = this.querySelector('#undoList');
+    if (list) {
+      list.addEventListener('click', e => {
+        const item = e.target.closest('[data-position]');
+        if (item) this.goToUndoPosition(parseInt(item.dataset.position, 10));
+      });
+    }
+
+    // Shortcuts work while focus is anywhere in the GUI, except in text fields
+    this.addEventListener('keydown', e => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest('input, select, textarea')) return;
+      const key = e.key.toLowerCase();
+      const isUndo = key === 'z' && !e.shiftKey;
+      const isRedo = (key === 'z' && e.shiftKey) || key === 'y';
+      if (!isUndo && !isRedo) return;
+      e.preventDefault();
+      if (isUndo) {
+        this.undo();
+      } else {
+        this.redo();
+      }
+    });
+    this.renderUndoHistory();
+  }
+
+  /** Current value of a knob (its target, not the smoothed value) or toggle */
+  getControlValue(param) {
+    const knob = this.knobs[param];
+    if (knob) return knob.targetValue;
+    const harmonicIndex = this.getHarmonicIndex(param);
+    if (harmonicIndex >= 0) return this.harmonics[harmonicIndex];
+    const button = this.querySelector(`.toggle-button[data-param="${param}"]`);
+    return button ? button.classList.contains('active') : this.parameterValues[param];
+  }
+
+  /**
+   * Starts a host gesture for a parameter, remembering where it began. A
+   * gesture started with record = false (undo and redo themselves) is not
+   * added to the history.
+   */
+  beginGesture(param, record = true) {
+    const gesture = this.gestures[param];
+    if (gesture) {
+      clearTimeout(gesture.timer);
+      gesture.timer = null;
+      return;
+    }
+    this.gestures[param] = { from: this.getControlValue(param), record, timer: null };
+    this.patchConnection.sendParameterGestureStart(param);
+  }
+
+  endGesture(param) {
+    const gesture = this.gestures[param];
+    if (!gesture) return;
+    clearTimeout(gesture.timer);
+    delete this.gestures[param];
+    // A knob's last value may still be waiting for the next frame
+    if (this.knobs[param]) this.sendKnobTarget(param);
+    this.patchConnection.sendParameterGestureEnd(param);
+    if (gesture.record) {
+      const to = this.getControlValue(param);
+      this.recordUndo(this.describeChange(param, to), { [param]: gesture.from }, { [param]: to });
+    }
+  }
+
+  /** Begins a gesture, or extends one, that ends once the control goes idle */
+  touchGesture(param, record = true) {
+    this.beginGesture(param, record);
+    this.gestures[param].timer = setTimeout(() => this.endGesture(param), gestureIdleMs);
+  }
+
+  endAllGestures() {
+    Object.keys(this.gestures).forEach(param => {
+      if (!this.knobs[param]?.isDragging) this.endGesture(param);
+    });
+  }
+
+  /** A control's name as shown on screen */
+  describeControl(param) {
+    const knob = this.knobs[param];
+    if (knob) return knob.element.getAttribute('aria-label');
+    const harmonicIndex = this.getHarmonicIndex(param);
+    if (harmonicIndex >= 0) return `Harmonic ${harmonicIndex + 1}`;
+    const button = this.querySelector(`.toggle-button[data-param="${param}"]`);
+    return button ? button.textContent.replace(/\s*ENABLED\s*$/, '').trim() : param;
+  }
+
+  describeChange(param, value) {
+    if (this.knobs[param]) return `${this.describeControl(param)}: ${this.formatKnobValue(param, value)}`;
+    if (this.getHarmonicIndex(param) >= 0) return `${this.describeControl(param)}: ${value.toFixed(1)} dB`;
+    return `${this.describeControl(param)} ${value ? 'on' : 'off'}`;
+  }
+
+  /** Adds a step to the history, keeping only the values that changed */
+  recordUndo(label, before, after) {
+    const changed = Object.keys(after).filter(param => {
+      const a = before[param];
+      const b = after[param];
+      if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) > 1e-4;
+      return a !== undefined && a !== b;
+    });
+    if (!changed.length) return;
+    const entry = { label, before: {}, after: {} };
+    changed.forEach(param => {
+      entry.before[param] = before[param];
+      entry.after[param] = after[param];
+    });
+    this.undoHistory.splice(this.undoPosition);
+    this.undoHistory.push(entry);
+    if (this.undoHistory.length > undoLimit) this.undoHistory.shift();
+    this.undoPosition = this.undoHistory.length;
+    this.renderUndoHistory();
+  }
+
+  undo() {
+    this.endAllGestures();
+    if (this.undoPosition === 0) return;
+    this.undoPosition--;
+    this.applyUndoValues(this.undoHistory[this.undoPosition].before);
+    this.renderUndoHistory();
+  }
 
-    this.inputMeterListener = (value) => {
-      this.meters.inputLevel.value = value;
-    };
-    this.patchConnection.addEndpointListener('inputMeter', this.inputMeterListener);
+  redo() {
+    this.endAllGestures();
+    if (this.undoPosition >= this.undoHistory.length) return;
+    this.applyUndoValues(this.undoHistory[this.undoPosition].after);
+    this.undoPosition++;
+    this.renderUndoHistory();
+  }
 
-    this.outputMeterListener = (value) => {
-      this.meters.outputLevel.value = value;
-    };
-    this.patchConnection.addEndpointListener('outputMeter', this.outputMeterListener);
+  goToUndoPosition(position) {
+    while (this.undoPosition > position) this.undo();
+    while (this.undoPosition < position) this.redo();
+  }
 
-    // Toggle states
-    this.patchConnection.addEndpointListener('enableLookAheadIn', (v) => {
-      const btn = this.querySelector('.toggle-button[data-param="enableLookAheadIn"]');
-      if (btn) btn.classList.toggle('active', v);
-    });
-    this.patchConnection.addEndpointListener('sidechainFilterEnableIn', (v) => {
-      const btn = this.querySelector('.toggle-button[data-param="sidechainFilterEnableIn"]');
-      if (btn) btn.classList.toggle('active', v);
+  /** Sends a set of values as unrecorded gestures so hosts still see them */
+  applyUndoValues(values) {
+    Object.entries(values).forEach(([param, value]) => {
+      const knob = this.knobs[param];
+      const harmonicIndex = this.getHarmonicIndex(param);
+      if (knob) {
+        this.touchGesture(param, false);
+        this.setKnobTarget(param, value);
+      } else if (harmonicIndex >= 0) {
+        this.touchGesture(param, false);
+        this.setHarmonic(harmonicIndex, value);
+        this.drawHarmonics();
+      } else if (typeof value === 'boolean' && this.querySelector(`.toggle-button[data-param="${param}"]`)) {
+        this.setToggle(param, value, false);
+      } else {
+        this.patchConnection.sendParameterGestureStart(param);
+        this.patchConnection.sendEventOrValue(param, value);
+        this.patchConnection.sendParameterGestureEnd(param);
+      }
     });
+  }
 
-    // LED for post-saturation meter
-    this.patchConnection.addEndpointListener('postSatMeter', (value) => {
-      const led = this.querySelector('#saturationLed');
-      const ledThreshold = 8.0;
-      if (led) {
-        if (value >= ledThreshold) {
-          led.classList.add('on');
-        } else {
-          led.classList.remove('on');
-        }
-      }
+  renderUndoHistory() {
+    const undoButton = this.querySelector('#undoButton');
+    const redoButton = this.querySelector('#redoButton');
+    if (undoButton) undoButton.disabled = this.undoPosition === 0;
+    if (redoButton) redoButton.disabled = this.undoPosition >= this.undoHistory.length;
+    const list = this.querySelector('#undoList');
+    if (!list) return;
+    const labels = ['Start', ...this.undoHistory.map(entry => entry.label)];
+    list.innerHTML = '';
+    labels.forEach((label, position) => {
+      const item = document.createElement('li');
+      item.dataset.position = position;
+      item.textContent = label;
+      item.classList.toggle('current', position === this.undoPosition);
+      item.classList.toggle('undone', position > this.undoPosition);
+      list.appendChild(item);
     });
+    const current = list.querySelector('.current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
   }
 
   // ------------------------------------------------------------------
@@ -181,12 +1399,26 @@ class UpperCompGUI extends HTMLElement {
         element: knobEl,
         currentValue: initVal,
         targetValue: initVal,
+        sentValue: initVal,      // the last value the patch was sent
         min: minVal,
         max: maxVal,
+        defaultValue: initVal,   // replaced by the endpoint's init annotation
+        step: 0,                 // replaced by the endpoint's step annotation
+        taper: knobTapers[param] || linearTaper,
         isDragging: false,
         lastY: 0
       };
       // Initialize rotation & display
+      // Screen readers and keyboard users see each knob as a slider
+      const label = knobEl.parentElement.querySelector('.knob-label');
+      knobEl.tabIndex = 0;
+      knobEl.alt = '';
+      knobEl.draggable = false;
+      knobEl.setAttribute('role', 'slider');
+      knobEl.setAttribute('aria-label', label ? label.textContent : param);
+      knobEl.setAttribute('aria-valuemin', minVal);
+      knobEl.setAttribute('aria-valuemax', maxVal);
+      knobEl.addEventListener('keydown', e => this.handleKnobKey(e, param));
       this.updateKnobRotation(param, initVal);
       this.updateKnobDisplayValue(param, initVal);
     });
@@ -198,23 +1430,31 @@ class UpperCompGUI extends HTMLElement {
     knobEls.forEach(knobEl => {
       knobEl.addEventListener('mousedown', e => this.startKnobDrag(e, knobEl.dataset.param));
       knobEl.addEventListener('touchstart', e => this.startKnobTouch(e, knobEl.dataset.param), { passive: false });
+      knobEl.addEventListener('dblclick', () => this.resetKnob(knobEl.dataset.param));
+      knobEl.addEventListener('wheel', e => this.handleKnobWheel(e, knobEl.dataset.param), { passive: false });
+      const label = knobEl.parentElement.querySelector('.knob-value');
+      if (label) {
+        label.title = 'Click to type a value';
+        label.addEventListener('click', () => this.editKnobValue(knobEl.dataset.param));
+      }
     });
-
-    document.addEventListener('mousemove', e => this.handleKnobDrag(e));
-    document.addEventListener('mouseup', () => this.stopKnobDrag());
-    document.addEventListener('touchmove', e => this.handleKnobTouch(e), { passive: false });
-    document.addEventListener('touchend', () => this.stopKnobDrag());
   }
 
   startKnobDrag(e, param) {
+    if (e.button !== 0) return;
     e.preventDefault();
+    // preventDefault() stops the click focusing the knob, so focus it here
+    // to let keyboard shortcuts follow
+    this.knobs[param].element.focus();
     this.knobs[param].isDragging = true;
     this.knobs[param].lastY = e.clientY;
+    this.beginGesture(param);
   }
 
   startKnobTouch(e, param) {
     this.knobs[param].isDragging = true;
     this.knobs[param].lastY = e.touches[0].clientY;
+    this.beginGesture(param);
   }
 
   handleKnobDrag(e) {
@@ -223,7 +1463,7 @@ class UpperCompGUI extends HTMLElement {
       if (knob.isDragging) {
         const deltaY = e.clientY - knob.lastY;
         knob.lastY = e.clientY;
-        this.adjustKnobValue(param, deltaY);
+        this.adjustKnobValue(param, deltaY, e.shiftKey);
       }
     });
   }
@@ -245,23 +1485,180 @@ class UpperCompGUI extends HTMLElement {
 
   stopKnobDrag() {
     Object.keys(this.knobs).forEach(param => {
+      if (this.knobs[param].isDragging) this.endGesture(param);
       this.knobs[param].isDragging = false;
     });
   }
 
-  // Increase sensitivity by using a higher sensitivity value
-  adjustKnobValue(param, deltaY) {
+  /** Position of a value along the knob's travel, 0..1, through its taper */
+  knobPosition(knob, value) {
+    return taperToPosition(knob.taper, knob.min, knob.max, value);
+  }
+
+  knobValueAt(knob, position) {
+    return taperFromPosition(knob.taper, knob.min, knob.max, position);
+  }
+
+  // Increase sensitivity by using a higher sensitivity value.
+  // Holding Shift gives a tenth of the normal sensitivity for fine moves.
+  // 100px of drag covers the whole travel, whatever the knob's taper.
+  adjustKnobValue(param, deltaY, fine = false) {
+    const knob = this.knobs[param];
+    const sensitivity = fine ? 0.1 : 1.0;
+    const change = (deltaY * sensitivity) / 100;
+    this.setKnobTarget(param, this.knobValueAt(knob, this.knobPosition(knob, knob.targetValue) - change));
+  }
+
+  /** Sets a knob to an exact value, clamped to its range and snapped to its step */
+  setKnobValue(param, value) {
+    const knob = this.knobs[param];
+    if (!knob || !Number.isFinite(value)) return;
+    this.touchGesture(param);
+    let snapped = Math.max(knob.min, Math.min(knob.max, value));
+    if (knob.step > 0) {
+      snapped = knob.min + Math.round((snapped - knob.min) / knob.step) * knob.step;
+      snapped = Math.min(knob.max, parseFloat(snapped.toFixed(6)));
+    }
+    this.setKnobTarget(param, snapped);
+  }
+
+  /**
+   * The one place a knob's new value is set. The knob eases towards it on
+   * screen; the patch gets it from animate(), so however many times a drag
+   * moves the knob in a frame, at most one value goes out per frame.
+   */
+  setKnobTarget(param, value) {
+    const knob = this.knobs[param];
+    if (value === knob.targetValue) return;
+    knob.targetValue = value;
+    if (param === 'sidechainFreqIn') this.sidechainChanged();
+  }
+
+  /** Sends a knob's target, once, if the patch doesn't have it yet */
+  sendKnobTarget(param) {
+    const knob = this.knobs[param];
+    if (knob.sentValue === knob.targetValue) return;
+    knob.sentValue = knob.targetValue;
+    this.patchConnection.sendEventOrValue(param, knob.sentValue);
+  }
+
+  resetKnob(param) {
+    const knob = this.knobs[param];
+    if (knob) this.setKnobValue(param, knob.defaultValue);
+  }
+
+  /**
+   * One wheel notch moves 1% of the knob's travel, snapped to the step;
+   * with Shift it moves by a single step. Either way it always moves at
+   * least one step.
+   */
+  handleKnobWheel(e, param) {
+    if (!this.knobs[param] || e.deltaY === 0) return;
+    e.preventDefault();
+    this.nudgeKnob(param, -Math.sign(e.deltaY), e.shiftKey ? 0 : 0.01);
+  }
+
+  /**
+   * Moves a knob by a fraction of its travel (0 for a single step) in the
+   * given direction, always by at least one step.
+   */
+  nudgeKnob(param, direction, travel) {
+    const knob = this.knobs[param];
+    const step = knob.step > 0 ? knob.step : (knob.max - knob.min) / 1000;
+    const previous = knob.targetValue;
+    if (travel > 0) {
+      this.setKnobValue(param, this.knobValueAt(knob, this.knobPosition(knob, previous) + direction * travel));
+    }
+    if (knob.targetValue === previous) {
+      this.setKnobValue(param, previous + direction * step);
+    }
+  }
+
+  /**
+   * Keyboard control, following the ARIA slider pattern: arrows move like a
+   * wheel notch (a single step with Shift), Page Up/Down move a tenth of the
+   * travel, Home/End go to the ends, Enter types a value and Delete resets.
+   */
+  handleKnobKey(e, param) {
+    const knob = this.knobs[param];
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowRight':
+        this.nudgeKnob(param, 1, e.shiftKey ? 0 : 0.01);
+        break;
+      case 'ArrowDown':
+      case 'ArrowLeft':
+        this.nudgeKnob(param, -1, e.shiftKey ? 0 : 0.01);
+        break;
+      case 'PageUp':
+        this.nudgeKnob(param, 1, 0.1);
+        break;
+      case 'PageDown':
+        this.nudgeKnob(param, -1, 0.1);
+        break;
+      case 'Home':
+        this.setKnobValue(param, knob.min);
+        break;
+      case 'End':
+        this.setKnobValue(param, knob.max);
+        break;
+      case 'Enter':
+        this.editKnobValue(param);
+        break;
+      case 'Delete':
+      case 'Backspace':
+        this.resetKnob(param);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    // Announce the new value straight away rather than once smoothing catches up
+    this.updateKnobDisplayValue(param, knob.targetValue);
+  }
+
+  /**
+   * Swaps a knob's value readout for a text field. Units may be typed or
+   * left out ("-12", "-12 dB"), a "k" multiplies by 1000 ("2.5k Hz"), and
+   * a ratio can be typed as "4:1".
+   */
+  editKnobValue(param) {
     const knob = this.knobs[param];
-    const range = knob.max - knob.min;
-    const sensitivity = 1.0; // Adjust if needed
-    const change = (deltaY * sensitivity * range) / 100;
-    knob.targetValue = Math.max(knob.min, Math.min(knob.max, knob.targetValue - change));
+    const label = knob?.element.parentElement.querySelector('.knob-value');
+    if (!label || label.querySelector('input')) return;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'knob-value-input';
+    input.value = label.textContent;
+    label.textContent = '';
+    label.appendChild(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      if (commit) {
+        const match = /^\s*([-+]?\d*\.?\d+)\s*(k)?/i.exec(input.value);
+        if (match) this.setKnobValue(param, parseFloat(match[1]) * (match[2] ? 1000 : 1));
+      }
+      const hadFocus = document.activeElement === input;
+      input.remove();
+      this.updateKnobDisplayValue(param, knob.targetValue);
+      if (hadFocus) knob.element.focus();
+    };
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+      e.stopPropagation();
+    });
+    input.addEventListener('blur', () => finish(true));
   }
 
   updateKnobRotation(param, value) {
     const knob = this.knobs[param];
-    const range = knob.max - knob.min;
-    const pct = (value - knob.min) / range;
+    const pct = this.knobPosition(knob, value);
     // 270° total, offset -135 => 0 => -135°, 1 => +135°
     const deg = pct * 270 - 135;
     knob.element.style.transform = `rotate(${deg}deg)`;
@@ -269,8 +1666,16 @@ class UpperCompGUI extends HTMLElement {
 
   updateKnobDisplayValue(param, value) {
     const knob = this.knobs[param];
+    const text = this.formatKnobValue(param, value);
+    knob.element.setAttribute('aria-valuenow', parseFloat(value.toFixed(4)));
+    knob.element.setAttribute('aria-valuetext', text);
     const label = knob.element.parentElement.querySelector('.knob-value');
-    if (!label) return;
+    if (!label || label.querySelector('input')) return;
+    label.textContent = text;
+  }
+
+  /** The text shown under a knob, also used as its aria-valuetext */
+  formatKnobValue(param, value) {
     let text = '';
     switch (param) {
       case 'drive':
@@ -288,14 +1693,16 @@ class UpperCompGUI extends HTMLElement {
       case 'lookaheadMsIn':
       case 'attackMsIn':
       case 'releaseMsIn':
-        text = `${value.toFixed(1)} ms`;
+        text = `${value.toFixed(value < 100 ? 1 : 0)} ms`;
         break;
       case 'inputGainIn':
       case 'outputGainIn':
+      case 'output_gain_dB':
         text = `${value.toFixed(2)} dB`;
         break;
       case 'sidechainFreqIn':
-        text = `${value.toFixed(1)} Hz`;
+        // The log taper spans three decades, so keep about three significant figures
+        text = value >= 1000 ? `${(value / 1000).toFixed(2)} kHz` : `${value.toFixed(value < 100 ? 1 : 0)} Hz`;
         break;
       case 'compMixIn':
         text = value.toFixed(2);
@@ -303,7 +1710,24 @@ class UpperCompGUI extends HTMLElement {
       default:
         text = value.toFixed(1);
     }
-    label.textContent = text;
+    return text;
+  }
+
+  /** Switches a toggle from the GUI, as one undoable gesture */
+  setToggle(param, on, record = true) {
+    this.beginGesture(param, record);
+    this.setToggleState(param, on);
+    this.patchConnection.sendEventOrValue(param, on);
+    this.endGesture(param);
+  }
+
+  /** Shows a toggle's state visually and as aria-checked */
+  setToggleState(param, on) {
+    const button = this.querySelector(`.toggle-button[data-param="${param}"]`);
+    if (!button) return;
+    button.classList.toggle('active', !!on);
+    button.setAttribute('aria-checked', on ? 'true' : 'false');
+    if (param === 'sidechainFilterEnableIn') this.sidechainChanged();
   }
 
   // ------------------------------------------------------------------
@@ -312,17 +1736,21 @@ class UpperCompGUI extends HTMLElement {
   initializeWaveform() {
     this.waveformCanvas = this.querySelector('#waveform');
     if (!this.waveformCanvas) return;
-    const rect = this.waveformCanvas.getBoundingClientRect();
+    this.ctx = this.waveformCanvas.getContext('2d');
+    this.resizeWaveformCanvas();
+  }
+
+  /** Matches the canvas backing store to its laid-out size and the display's pixel ratio */
+  resizeWaveformCanvas() {
+    const canvas = this.waveformCanvas;
+    if (!canvas) return;
     // Store CSS dimensions for drawing calculations
-    this.cssWidth = rect.width;
-    this.cssHeight = rect.height;
+    this.cssWidth = canvas.offsetWidth;
+    this.cssHeight = canvas.offsetHeight;
     const dpr = window.devicePixelRatio || 1;
-    this.waveformCanvas.width = rect.width * dpr;
-    this.waveformCanvas.height = rect.height * dpr;
-    this.waveformCanvas.style.width = `${rect.width}px`;
-    this.waveformCanvas.style.height = `${rect.height}px`;
-    this.ctx = this.waveformCanvas.getContext('2d');
-    this.ctx.scale(dpr, dpr);
+    canvas.width = this.cssWidth * dpr;
+    canvas.height = this.cssHeight * dpr;
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
   }
 
   drawWaveform() {
@@ -332,7 +1760,7 @@ class UpperCompGUI extends HTMLElement {
     const h = this.cssHeight;
 
     // Clear background
-    ctx.fillStyle = '#1a1a1a';
+    ctx.fillStyle = colorString(this.colors.panelColor);
     ctx.fillRect(0, 0, w, h);
 
     // Draw horizontal dB lines
@@ -351,7 +1779,7 @@ class UpperCompGUI extends HTMLElement {
       ctx.fillText(`${db} dB`, w - 5, y - 5);
     });
 
-    // Draw vertical divisions
+    // Draw vertical divisions (one per fifth of the time window)
     const timeDiv = 5;
     for (let i = 1; i < timeDiv; i++) {
       const x = w * (i / timeDiv);
@@ -361,19 +1789,54 @@ class UpperCompGUI extends HTMLElement {
       ctx.stroke();
     }
 
-    // Draw waveform history bars
-    if (this.waveformHistory.length > 0) {
-      const barW = w / this.historyLength;
-      ctx.fillStyle = '#4CAF50';
-      this.waveformHistory.forEach((sample, i) => {
-        const x = i * barW;
-        const lvl = sample.inputLevel;
-        const y = this.dbToY(lvl, h);
-        const barH = h - y;
-        if (barH > 0) ctx.fillRect(x, y, barW - 1, barH);
-      });
+    // Draw the level history: input as a filled area, output as a line and
+    // gain reduction hanging down from the top, all on the same dB scale
+    // and scrolling right to left over the selected window
+    if (this.waveformHistory.length > 1) {
+      const now = performance.now();
+      const windowMs = this.historySeconds * 1000;
+      const timeToX = time => w - ((now - time) / windowMs) * w;
+      const visible = this.waveformHistory.filter(sample => now - sample.time <= windowMs);
+      const bottom = this.dbToY(-60, h);
+      const dbPerPx = (this.dbToY(-60, h) - this.dbToY(12, h)) / 72;
+
+      const trace = (key, toY) => {
+        ctx.beginPath();
+        visible.forEach((sample, i) => {
+          const x = timeToX(sample.time);
+          const y = toY(sample[key]);
+          if (i === 0) ctx.moveTo(x, y);
+          else ctx.lineTo(x, y);
+        });
+      };
+
+      if (visible.length > 1) {
+        trace('inputLevel', db => this.dbToY(db, h));
+        ctx.lineTo(timeToX(visible[visible.length - 1].time), bottom);
+        ctx.lineTo(timeToX(visible[0].time), bottom);
+        ctx.closePath();
+        ctx.fillStyle = colorString(this.colors.greenColor, 0.45);
+        ctx.fill();
+
+        ctx.lineWidth = 1.5;
+        trace('outputLevel', db => this.dbToY(db, h));
+        ctx.strokeStyle = colorString(this.colors.yellowColor, 0.9);
+        ctx.stroke();
+
+        trace('gainReduction', gr => this.dbToY(12, h) + Math.min(72, -Math.min(0, gr)) * dbPerPx);
+        ctx.strokeStyle = colorString(this.colors.redColor, 0.95);
+        ctx.stroke();
+      }
     }
 
+    // Legend
+    ctx.font = '9px "JetBrains Mono"';
+    ctx.textAlign = 'left';
+    [['IN', this.colors.greenColor], ['OUT', this.colors.yellowColor], ['GR', this.colors.redColor]].forEach(([name, color], i) => {
+      ctx.fillStyle = colorString(color);
+      ctx.fillText(name, 10 + i * 32, h - 6);
+    });
+
     // Draw threshold line
     const thrY = this.dbToY(this.currentThresholdDb, h);
     ctx.strokeStyle = 'rgba(255,255,255,0.7)';
@@ -390,6 +1853,417 @@ class UpperCompGUI extends HTMLElement {
     ctx.fillText(`Threshold: ${this.currentThresholdDb.toFixed(1)} dB`, 10, thrY - 5);
   }
 
+  /** Draws the level history or the transfer curve, whichever is showing */
+  drawVisualization() {
+    if (this.view === 'curve') {
+      this.drawTransferCurve();
+    } else if (this.view === 'levels') {
+      this.drawWaveform();
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Transfer curve
+  // ------------------------------------------------------------------
+  /**
+   * Static curve of the compressor: output level against input level, from
+   * the input gain, threshold, ratio and output gain. The dot is the live
+   * operating point from the inputMeter/outputMeter events, so it also
+   * shows what the saturation stage and the envelope are doing.
+   */
+  drawTransferCurve() {
+    if (!this.ctx || !this.waveformCanvas) return;
+    const ctx = this.ctx;
+    const w = this.cssWidth;
+    const h = this.cssHeight;
+    const minDb = -60;
+    const maxDb = 12;
+
+    ctx.fillStyle = colorString(this.colors.panelColor);
+    ctx.fillRect(0, 0, w, h);
+
+    // Square plot, centred, with room for the axis labels
+    const size = Math.max(0, Math.min(w - 60, h - 40));
+    const left = (w - size) / 2;
+    const top = (h - size) / 2 - 6;
+    const toX = db => left + ((Math.max(minDb, Math.min(maxDb, db)) - minDb) / (maxDb - minDb)) * size;
+    const toY = db => top + size - ((Math.max(minDb, Math.min(maxDb, db)) - minDb) / (maxDb - minDb)) * size;
+
+    // Grid and axis labels
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.font = '9px "JetBrains Mono"';
+    ctx.fillStyle = '#666';
+    for (let db = minDb; db <= maxDb; db += 12) {
+      ctx.beginPath();
+      ctx.moveTo(toX(db), top);
+      ctx.lineTo(toX(db), top + size);
+      ctx.moveTo(left, toY(db));
+      ctx.lineTo(left + size, toY(db));
+      ctx.stroke();
+      ctx.textAlign = 'center';
+      ctx.fillText(`${db}`, toX(db), top + size + 11);
+      ctx.textAlign = 'right';
+      ctx.fillText(`${db}`, left - 4, toY(db) + 3);
+    }
+    ctx.textAlign = 'center';
+    ctx.fillText('IN dB', left + size / 2, top + size + 22);
+    ctx.save();
+    ctx.translate(left - 26, top + size / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('OUT dB', 0, 0);
+    ctx.restore();
+
+    // Unity line
+    ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(toX(minDb), toY(minDb));
+    ctx.lineTo(toX(maxDb), toY(maxDb));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // The curve itself
+    const values = this.parameterValues;
+    const threshold = values.thresholdDbIn ?? this.currentThresholdDb;
+    const ratio = Math.max(1, values.ratioIn ?? 4);
+    const inputGain = values.inputGainIn ?? 0;
+    const outputGain = values.outputGainIn ?? 0;
+    const transfer = (inDb) => {
+      const level = inDb + inputGain;
+      const compressed = level > threshold ? threshold + (level - threshold) / ratio : level;
+      return compressed + outputGain;
+    };
+    ctx.strokeStyle = colorString(this.colors.greenColor);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let db = minDb; db <= maxDb; db += 0.5) {
+      if (db === minDb) ctx.moveTo(toX(db), toY(transfer(db)));
+      else ctx.lineTo(toX(db), toY(transfer(db)));
+    }
+    ctx.stroke();
+
+    // Threshold, as the input level where the knee sits
+    const kneeIn = threshold - inputGain;
+    if (kneeIn >= minDb && kneeIn <= maxDb) {
+      ctx.fillStyle = 'rgba(255,255,255,0.7)';
+      ctx.beginPath();
+      ctx.arc(toX(kneeIn), toY(transfer(kneeIn)), 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Operating point
+    const inputLevel = this.meters.inputLevel.value;
+    const outputLevel = this.meters.outputLevel.value;
+    if (inputLevel > minDb) {
+      ctx.fillStyle = colorString(this.colors.yellowColor);
+      ctx.shadowColor = colorString(this.colors.yellowColor, 0.8);
+      ctx.shadowBlur = 8;
+      ctx.beginPath();
+      ctx.arc(toX(inputLevel), toY(outputLevel), 4, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    }
+
+    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+    ctx.font = '11px "JetBrains Mono"';
+    ctx.textAlign = 'left';
+    ctx.fillText(`${ratio.toFixed(1)}:1 @ ${threshold.toFixed(1)} dB`, 10, h - 8);
+  }
+
+  // ------------------------------------------------------------------
+  // Visualization tabs
+  // ------------------------------------------------------------------
+  setupViewTabs() {
+    this.querySelectorAll('.view-tab[data-view]').forEach(tab => {
+      tab.addEventListener('click', () => this.showView(tab.dataset.view));
+    });
+    this.querySelectorAll('.view-tab[data-seconds]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.historySeconds = parseFloat(button.dataset.seconds);
+        this.querySelectorAll('.view-tab[data-seconds]').forEach(b => {
+          b.classList.toggle('active', b === button);
+          b.setAttribute('aria-pressed', b === button ? 'true' : 'false');
+        });
+      });
+    });
+  }
+
+  showView(view) {
+    this.view = view;
+    this.querySelectorAll('.view-tab[data-view]').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.view === view);
+      tab.setAttribute('aria-pressed', tab.dataset.view === view ? 'true' : 'false');
+    });
+    const historyWindows = this.querySelector('.history-windows');
+    if (historyWindows) historyWindows.hidden = view !== 'levels';
+    const harmonicEditor = this.querySelector('#harmonicEditor');
+    if (harmonicEditor) harmonicEditor.hidden = view !== 'harmonics';
+    const undoPanel = this.querySelector('#undoPanel');
+    if (undoPanel) undoPanel.hidden = view !== 'history';
+    if (view === 'harmonics') {
+      // The canvas has no size while hidden, so measure it once visible
+      this.resizeHarmonicCanvas();
+      this.drawHarmonics();
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Harmonic editor
+  // ------------------------------------------------------------------
+  initializeHarmonicEditor() {
+    this.harmonicCanvas = this.querySelector('#harmonicCanvas');
+    if (!this.harmonicCanvas) return;
+    this.harmonicCtx = this.harmonicCanvas.getContext('2d');
+
+    // Drawing across the bars sets every harmonic the pointer passes over;
+    // one drag is one undo step.
+    this.harmonicCanvas.addEventListener('pointerdown', e => {
+      e.preventDefault();
+      this.harmonicCanvas.setPointerCapture(e.pointerId);
+      this.beginHarmonicEdit();
+      const { index, db } = this.harmonicPointFromEvent(e);
+      this.harmonicDrag = { lastIndex: index, lastDb: db };
+      this.editHarmonic(index, db);
+      this.drawHarmonics();
+    });
+    this.harmonicCanvas.addEventListener('pointermove', e => {
+      if (!this.harmonicDrag) return;
+      const { index, db } = this.harmonicPointFromEvent(e);
+      const { lastIndex, lastDb } = this.harmonicDrag;
+      // Fill in any bars skipped by a fast movement
+      const steps = Math.abs(index - lastIndex);
+      for (let step = 1; step <= steps; step++) {
+        const i = lastIndex + Math.sign(index - lastIndex) * step;
+        this.editHarmonic(i, lastDb + (db - lastDb) * (step / steps));
+      }
+      if (steps === 0) this.editHarmonic(index, db);
+      this.harmonicDrag = { lastIndex: index, lastDb: db };
+      this.drawHarmonics();
+    });
+    const endDrag = () => {
+      if (!this.harmonicDrag) return;
+      this.harmonicDrag = null;
+      this.endHarmonicEdit('Harmonics: drawn');
+      this.drawHarmonics();
+    };
+    this.harmonicCanvas.addEventListener('pointerup', endDrag);
+    this.harmonicCanvas.addEventListener('pointercancel', endDrag);
+
+    // From the keyboard the canvas is a slider for one harmonic at a time:
+    // Left/Right pick the harmonic, the other slider keys set its level.
+    this.harmonicCanvas.addEventListener('keydown', e => this.handleHarmonicKey(e));
+    this.harmonicCanvas.addEventListener('focus', () => this.drawHarmonics());
+    this.harmonicCanvas.addEventListener('blur', () => this.drawHarmonics());
+    this.updateHarmonicAria();
+
+    this.querySelectorAll('.harmonic-shape').forEach(button => {
+      button.addEventListener('click', () => this.applyHarmonicShape(button.dataset.shape, button.textContent));
+    });
+  }
+
+  resizeHarmonicCanvas() {
+    const canvas = this.harmonicCanvas;
+    if (!canvas) return;
+    // Layout size rather than getBoundingClientRect(), which includes any
+    // CSS transform the host page scales the GUI with
+    this.harmonicWidth = canvas.offsetWidth;
+    this.harmonicHeight = canvas.offsetHeight;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = this.harmonicWidth * dpr;
+    canvas.height = this.harmonicHeight * dpr;
+    this.harmonicCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  getHarmonicIndex(endpointID) {
+    const match = /^harmonic(\d+)_dB$/.exec(endpointID);
+    return match ? parseInt(match[1], 10) - 1 : -1;
+  }
+
+  harmonicPointFromEvent(e) {
+    const rect = this.harmonicCanvas.getBoundingClientRect();
+    const fx = Math.max(0, Math.min(0.9999, (e.clientX - rect.left) / rect.width));
+    const fy = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+    const y = fy * this.harmonicHeight;
+    return {
+      index: Math.floor(fx * harmonicCount),
+      db: this.harmonicYToDb(y)
+    };
+  }
+
+  harmonicDbToY(db) {
+    const top = 14;
+    const bottom = this.harmonicHeight - 14;
+    const { min, max } = this.harmonicRange;
+    const norm = (Math.max(min, Math.min(max, db)) - min) / (max - min);
+    return bottom - norm * (bottom - top);
+  }
+
+  harmonicYToDb(y) {
+    const top = 14;
+    const bottom = this.harmonicHeight - 14;
+    const norm = Math.max(0, Math.min(1, (bottom - y) / (bottom - top)));
+    const { min, max } = this.harmonicRange;
+    return min + norm * (max - min);
+  }
+
+  /** Sets one harmonic (0-based index), snapped to the endpoint's 0.1 dB step */
+  setHarmonic(index, db) {
+    const { min, max } = this.harmonicRange;
+    const value = Math.round(Math.max(min, Math.min(max, db)) * 10) / 10;
+    if (this.harmonics[index] === value) return;
+    this.harmonics[index] = value;
+    this.patchConnection.sendEventOrValue(`harmonic${index + 1}_dB`, value);
+  }
+
+  /** Sets a harmonic as part of the current drag or shape, inside a host gesture */
+  editHarmonic(index, db) {
+    this.beginGesture(`harmonic${index + 1}_dB`, false);
+    this.setHarmonic(index, db);
+  }
+
+  /**
+   * A drag or shape can change many harmonics at once. Their gestures are
+   * not recorded one by one; the whole edit becomes a single undo step.
+   */
+  beginHarmonicEdit() {
+    this.harmonicEditFrom = {};
+    this.harmonics.forEach((db, i) => { this.harmonicEditFrom[`harmonic${i + 1}_dB`] = db; });
+  }
+
+  endHarmonicEdit(label) {
+    const from = this.harmonicEditFrom;
+    if (!from) return;
+    this.harmonicEditFrom = null;
+    const to = {};
+    Object.keys(from).forEach(param => {
+      this.endGesture(param);
+      to[param] = this.getControlValue(param);
+    });
+    this.recordUndo(label, from, to);
+  }
+
+  applyHarmonicShape(name, label = name) {
+    const shape = harmonicShapes[name];
+    if (!shape) return;
+    this.beginHarmonicEdit();
+    for (let i = 0; i < harmonicCount; i++) {
+      this.editHarmonic(i, shape(i + 1));
+    }
+    this.endHarmonicEdit(`Harmonics: ${label.toLowerCase()}`);
+    this.drawHarmonics();
+  }
+
+  handleHarmonicKey(e) {
+    const i = this.harmonicFocus;
+    const db = this.harmonics[i];
+    let newDb = db;
+    switch (e.key) {
+      case 'ArrowLeft':
+        this.harmonicFocus = Math.max(0, i - 1);
+        break;
+      case 'ArrowRight':
+        this.harmonicFocus = Math.min(harmonicCount - 1, i + 1);
+        break;
+      case 'ArrowUp':
+        newDb = db + (e.shiftKey ? 0.1 : 1);
+        break;
+      case 'ArrowDown':
+        newDb = db - (e.shiftKey ? 0.1 : 1);
+        break;
+      case 'PageUp':
+        newDb = db + 10;
+        break;
+      case 'PageDown':
+        newDb = db - 10;
+        break;
+      case 'Home':
+        newDb = this.harmonicRange.min;
+        break;
+      case 'End':
+        newDb = this.harmonicRange.max;
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    if (newDb !== db) {
+      // Each harmonic's key presses become one undo step once it goes idle
+      this.touchGesture(`harmonic${i + 1}_dB`);
+      this.setHarmonic(i, newDb);
+    }
+    this.drawHarmonics();
+  }
+
+  updateHarmonicAria() {
+    const canvas = this.harmonicCanvas;
+    if (!canvas) return;
+    const db = this.harmonics[this.harmonicFocus];
+    canvas.setAttribute('aria-valuemin', this.harmonicRange.min);
+    canvas.setAttribute('aria-valuemax', this.harmonicRange.max);
+    canvas.setAttribute('aria-valuenow', db);
+    canvas.setAttribute('aria-valuetext', `Harmonic ${this.harmonicFocus + 1}: ${db.toFixed(1)} dB`);
+  }
+
+  drawHarmonics() {
+    this.updateHarmonicAria();
+    const ctx = this.harmonicCtx;
+    const editor = this.querySelector('#harmonicEditor');
+    if (!ctx || !editor || editor.hidden || !this.harmonicWidth) return;
+    const w = this.harmonicWidth;
+    const h = this.harmonicHeight;
+
+    ctx.fillStyle = colorString(this.colors.panelColor);
+    ctx.fillRect(0, 0, w, h);
+
+    // dB grid
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.font = '9px "JetBrains Mono"';
+    ctx.textAlign = 'right';
+    harmonicGridDb.forEach(db => {
+      if (db <= this.harmonicRange.min || db >= this.harmonicRange.max) return;
+      const y = this.harmonicDbToY(db);
+      ctx.beginPath();
+      ctx.moveTo(0, y);
+      ctx.lineTo(w, y);
+      ctx.stroke();
+      ctx.fillStyle = '#666';
+      ctx.fillText(`${db} dB`, w - 4, y - 3);
+    });
+
+    // One bar per harmonic: the fundamental in white, odd harmonics in
+    // yellow and even harmonics in green
+    const barW = w / harmonicCount;
+    const floorY = this.harmonicDbToY(this.harmonicRange.min);
+    ctx.textAlign = 'center';
+    this.harmonics.forEach((db, i) => {
+      const n = i + 1;
+      const y = this.harmonicDbToY(db);
+      const color = n === 1 ? this.colors.textColor : (n % 2 === 1 ? this.colors.yellowColor : this.colors.greenColor);
+      ctx.fillStyle = colorString(color, 0.8);
+      if (floorY - y > 0) ctx.fillRect(i * barW + 2, y, barW - 4, floorY - y);
+      ctx.fillStyle = '#888';
+      ctx.fillText(`${n}`, i * barW + barW / 2, h - 3);
+    });
+
+    // Outline the bar the keyboard is editing
+    const focused = document.activeElement === this.harmonicCanvas;
+    if (focused) {
+      ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+      ctx.strokeRect(this.harmonicFocus * barW + 1.5, 0.5, barW - 3, h - 1);
+    }
+
+    // Value readout for the bar being drawn
+    if (this.harmonicDrag || focused) {
+      const i = this.harmonicDrag ? this.harmonicDrag.lastIndex : this.harmonicFocus;
+      ctx.fillStyle = 'rgba(255,255,255,0.8)';
+      ctx.font = '11px "JetBrains Mono"';
+      ctx.textAlign = 'left';
+      ctx.fillText(`H${i + 1}: ${this.harmonics[i].toFixed(1)} dB`, 6, 12);
+    }
+  }
+
   /**
    * Keeps the same -60..+12 range but adds margin so the extremes
    * aren't clipped off-screen. Adjust topMargin/bottomMargin if needed.
@@ -415,6 +2289,116 @@ class UpperCompGUI extends HTMLElement {
   // ------------------------------------------------------------------
   // Meters
   // ------------------------------------------------------------------
+  initializeMeterModes() {
+    this.querySelectorAll('.view-tab[data-meter-mode]').forEach(button => {
+      button.addEventListener('click', () => this.setMeterMode(button.dataset.meterMode));
+    });
+    this.querySelectorAll('.clip-indicator').forEach(button => {
+      button.addEventListener('click', () => {
+        const meter = this.meters[button.dataset.meter];
+        meter.clipped = false;
+        meter.hold = meter.peak;
+        meter.holdUntil = 0;
+      });
+    });
+
+    // Inside a Web Audio host the patch's own node is the obvious output tap
+    if (!this.meterSources.outputLevel && typeof AudioNode !== 'undefined'
+        && this.patchConnection.audioNode instanceof AudioNode) {
+      this.meterSources.outputLevel = this.patchConnection.audioNode;
+    }
+    this.setMeterMode(this.meterMode);
+  }
+
+  /**
+   * Gives the RMS, loudness and true-peak modes something to measure: the
+   * node feeding the plugin and the plugin (or whatever follows it). Either
+   * may be left out; a meter without a source can only show sample peak.
+   */
+  setMeterSources({ input, output } = {}) {
+    this.disconnectMeterTaps();
+    if (input !== undefined) this.meterSources.inputLevel = input;
+    if (output !== undefined) this.meterSources.outputLevel = output;
+    if (this.isConnected) this.connectMeterTaps();
+  }
+
+  connectMeterTaps() {
+    Object.keys(this.meterTaps).forEach(key => {
+      const source = this.meterSources[key];
+      if (!source || this.meterTaps[key]) return;
+      // Without a tap the meter falls back to sample peak; that is no reason
+      // to stop the rest of the GUI from starting
+      try {
+        this.meterTaps[key] = new MeterTap(source);
+      } catch (error) {
+        console.warn(`Could not tap ${key} for metering:`, error);
+      }
+    });
+  }
+
+  disconnectMeterTaps() {
+    Object.keys(this.meterTaps).forEach(key => {
+      if (this.meterTaps[key]) this.meterTaps[key].disconnect();
+      this.meterTaps[key] = null;
+    });
+  }
+
+  readMeterMode() {
+    try {
+      const mode = localStorage.getItem(meterModeStorageKey);
+      return mode in meterModes ? mode : 'peak';
+    } catch (error) {
+      return 'peak';
+    }
+  }
+
+  setMeterMode(mode) {
+    if (!(mode in meterModes)) return;
+    this.meterMode = mode;
+    try {
+      localStorage.setItem(meterModeStorageKey, mode);
+    } catch (error) {
+      console.warn('Could not store the meter mode:', error);
+    }
+    this.querySelectorAll('.view-tab[data-meter-mode]').forEach(button => {
+      const active = button.dataset.meterMode === mode;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    ['inputLevel', 'outputLevel'].forEach(key => {
+      const meter = this.meters[key];
+      meter.hold = meterFloorDb;
+      meter.holdUntil = 0;
+    });
+  }
+
+  /**
+   * Works out what an input/output meter shows this frame. Taps are read
+   * every frame whatever the mode, so their windows are already full when
+   * the mode changes.
+   */
+  updateMeterLevel(key) {
+    const meter = this.meters[key];
+    const tap = this.meterTaps[key];
+    const reading = tap ? tap.read() : null;
+    meter.mode = reading ? this.meterMode : 'peak';
+    const level = meter.mode === 'peak' ? meter.value : reading[meter.mode];
+
+    // Peaks fall back at decayRate; the averaged modes are smooth already
+    meter.peak = (meter.mode === 'peak' || meter.mode === 'truePeak')
+      ? Math.max(level, meter.peak - this.decayRate)
+      : level;
+
+    const now = performance.now();
+    if (meter.peak >= meter.hold || now > meter.holdUntil) {
+      meter.hold = meter.peak;
+      meter.holdUntil = now + peakHoldSeconds * 1000;
+    }
+    if (meter.value >= 0 || (reading && reading.truePeak >= 0)) {
+      meter.clipped = true;
+    }
+  }
+
   initializeMetersWithMarkers() {
     this.initMeter('inputMeter', inputOutputDbMarkers, -36, 6, false);
     this.initMeter('outputMeter', inputOutputDbMarkers, -36, 6, false);
@@ -449,10 +2433,8 @@ class UpperCompGUI extends HTMLElement {
     const dotsEl = this.querySelector(`#${dotsId}`);
     if (!scaleEl || !dotsEl) return;
     scaleEl.innerHTML = '';
-    const totalDots = 30;
-    const stepW = 16;
+    const totalDots = dotsEl.querySelectorAll('.meter-dot').length;
     const rng = Math.abs(maxDb - minDb);
-    const offset = 10;
     markers.forEach(dbVal => {
       const frac = (minDb < maxDb)
         ? (dbVal - minDb) / rng
@@ -461,7 +2443,9 @@ class UpperCompGUI extends HTMLElement {
       const label = document.createElement('div');
       label.classList.add('scale-marker');
       label.textContent = dbVal > 0 ? `+${dbVal} dB` : `${dbVal} dB`;
-      label.style.left = `${offset + i * stepW}px`;
+      // The dots are spread edge to edge, so the center of dot i sits at this
+      // fraction of the way between the first and last centers
+      label.style.left = `calc(var(--meter-dot-size) / 2 + (100% - var(--meter-dot-size)) * ${i / (totalDots - 1)})`;
       scaleEl.appendChild(label);
     });
   }
@@ -475,15 +2459,9 @@ class UpperCompGUI extends HTMLElement {
       this.meters.gainReduction.value = 0;
       this.meters.gainReduction.peak = 0;
     }
-    // Decay the meter peaks
-    this.meters.inputLevel.peak = Math.max(
-      this.meters.inputLevel.value,
-      this.meters.inputLevel.peak - this.decayRate
-    );
-    this.meters.outputLevel.peak = Math.max(
-      this.meters.outputLevel.value,
-      this.meters.outputLevel.peak - this.decayRate
-    );
+    // Measure in the current mode and decay the meter peaks
+    this.updateMeterLevel('inputLevel');
+    this.updateMeterLevel('outputLevel');
     // Zero out GR if near zero
     if (Math.abs(this.meters.gainReduction.value) < 0.05) {
       this.meters.gainReduction.peak = 0;
@@ -492,41 +2470,323 @@ class UpperCompGUI extends HTMLElement {
       this.meters.gainReduction.peak = this.meters.gainReduction.value;
     }
 
-    // Smooth knob transitions
+    // Send any new knob targets and ease the knobs towards them
     Object.keys(this.knobs).forEach(param => {
       const knob = this.knobs[param];
+      this.sendKnobTarget(param);
       const diff = knob.targetValue - knob.currentValue;
       if (Math.abs(diff) > 0.0001) {
         knob.currentValue += diff * 0.5;
         this.updateKnobRotation(param, knob.currentValue);
         this.updateKnobDisplayValue(param, knob.currentValue);
-        this.patchConnection.sendEventOrValue(param, knob.currentValue);
         if (param === 'thresholdDbIn') {
           this.currentThresholdDb = knob.currentValue;
         }
       }
     });
 
-    // Update waveform history
-    this.frameCount++;
-    if (this.frameCount >= this.historyUpdateRate) {
-      this.frameCount = 0;
-      this.waveformHistory.push({
-        inputLevel: this.meters.inputLevel.value,
-        gainReduction: this.meters.gainReduction.value,
-        outputLevel: this.meters.outputLevel.value
-      });
-      if (this.waveformHistory.length > this.historyLength) {
-        this.waveformHistory.shift();
-      }
+    this.updateSaturationLed();
+
+    // Update waveform history, keeping enough for the longest window so
+    // that switching windows doesn't start from an empty graph
+    const now = performance.now();
+    this.waveformHistory.push({
+      time: now,
+      inputLevel: this.meters.inputLevel.value,
+      gainReduction: this.meters.gainReduction.value,
+      outputLevel: this.meters.outputLevel.value
+    });
+    const oldest = now - Math.max(...historyWindowsSeconds) * 1000;
+    while (this.waveformHistory.length && this.waveformHistory[0].time < oldest) {
+      this.waveformHistory.shift();
     }
 
     // Redraw
-    this.drawWaveform();
+    this.drawVisualization();
     this.updateMeters();
     this.animationFrameRequest = requestAnimationFrame(() => this.animate());
   }
 
+  // ------------------------------------------------------------------
+  // Saturation LED
+  // ------------------------------------------------------------------
+  /**
+   * The LED doubles as the control for its own options: click it to show
+   * or hide the level readout, scroll or use the arrow keys to move the
+   * threshold, Delete to put it back.
+   */
+  initializeSaturationLed() {
+    const led = this.querySelector('#saturationLed');
+    if (!led) return;
+    led.tabIndex = 0;
+    led.setAttribute('role', 'slider');
+    led.setAttribute('aria-label', 'Saturation LED threshold');
+    led.setAttribute('aria-valuemin', saturationThresholdRange.min);
+    led.setAttribute('aria-valuemax', saturationThresholdRange.max);
+
+    led.addEventListener('click', () => {
+      this.setSaturationLedOptions({ showLevel: !this.saturationLed.showLevel });
+    });
+    led.addEventListener('wheel', e => {
+      if (e.deltaY === 0) return;
+      e.preventDefault();
+      this.nudgeSaturationThreshold(-Math.sign(e.deltaY), e.shiftKey);
+    }, { passive: false });
+    led.addEventListener('keydown', e => {
+      switch (e.key) {
+        case 'ArrowUp':
+        case 'ArrowRight':
+          this.nudgeSaturationThreshold(1, e.shiftKey);
+          break;
+        case 'ArrowDown':
+        case 'ArrowLeft':
+          this.nudgeSaturationThreshold(-1, e.shiftKey);
+          break;
+        case 'Delete':
+        case 'Backspace':
+          this.setSaturationLedOptions({ threshold: saturationLedDefaults.threshold });
+          break;
+        case 'Enter':
+        case ' ':
+          this.setSaturationLedOptions({ showLevel: !this.saturationLed.showLevel });
+          break;
+        default:
+          return;
+      }
+      e.preventDefault();
+    });
+    this.updateSaturationLedOptionsDisplay();
+  }
+
+  readSaturationLedOptions() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(saturationLedStorageKey) || '{}');
+      return mergeSaturationLedOptions({ ...saturationLedDefaults }, stored);
+    } catch (error) {
+      console.warn('Could not read the saturation LED options:', error);
+      return { ...saturationLedDefaults };
+    }
+  }
+
+  /**
+   * Changes how the saturation LED behaves. Any of
+   *   threshold    post-saturation peak in dB at which the LED starts to glow
+   *   holdSeconds  how long a peak is held before the LED falls back
+   *   showLevel    whether to show the post-saturation peak level under the LED
+   * may be given; the rest are left as they are.
+   */
+  setSaturationLedOptions(options) {
+    this.saturationLed = mergeSaturationLedOptions(this.saturationLed, options);
+    try {
+      localStorage.setItem(saturationLedStorageKey, JSON.stringify(this.saturationLed));
+    } catch (error) {
+      console.warn('Could not store the saturation LED options:', error);
+    }
+    this.updateSaturationLedOptionsDisplay();
+  }
+
+  getSaturationLedOptions() {
+    return { ...this.saturationLed };
+  }
+
+  nudgeSaturationThreshold(direction, fine) {
+    const step = fine ? 0.1 : saturationThresholdRange.step;
+    const threshold = Math.round((this.saturationLed.threshold + direction * step) / step) * step;
+    this.setSaturationLedOptions({ threshold: parseFloat(threshold.toFixed(1)) });
+  }
+
+  updateSaturationLedOptionsDisplay() {
+    const led = this.querySelector('#saturationLed');
+    const level = this.querySelector('#saturationLevel');
+    const { threshold, showLevel } = this.saturationLed;
+    const thresholdText = `${threshold.toFixed(1)} dB`;
+    if (led) {
+      led.setAttribute('aria-valuenow', threshold);
+      led.setAttribute('aria-valuetext', thresholdText);
+      led.title = `Saturation level: lights from ${thresholdText}. Click to ${showLevel ? 'hide' : 'show'} `
+        + 'the level, scroll or use the arrow keys to move the threshold.';
+    }
+    if (level) {
+      level.hidden = !showLevel;
+      level.title = 'Peak level out of the saturation stage';
+    }
+  }
+
+  /** Lets the held level fall once its hold time is up and redraws the LED */
+  updateSaturationLed() {
+    const saturation = this.saturation;
+    const now = performance.now();
+    const elapsed = saturation.lastTime ? (now - saturation.lastTime) / 1000 : 0;
+    saturation.lastTime = now;
+    if (now > saturation.holdUntil) {
+      saturation.held = Math.max(saturation.level, saturation.held - saturationLedFallDbPerSecond * elapsed);
+    }
+
+    // Dimly lit at the threshold, fully lit saturationLedRangeDb above it
+    const over = saturation.held - this.saturationLed.threshold;
+    const intensity = over < 0 ? 0 : 0.25 + 0.75 * Math.min(1, over / saturationLedRangeDb);
+    const led = this.querySelector('#saturationLed');
+    if (led) {
+      led.style.setProperty('--led-intensity', intensity.toFixed(3));
+      led.classList.toggle('on', intensity > 0);
+    }
+
+    const level = this.querySelector('#saturationLevel');
+    if (level && this.saturationLed.showLevel) {
+      const held = saturation.held;
+      if (held >= saturationLevelLimitDb) level.textContent = `>+${saturationLevelLimitDb} dB`;
+      else if (held <= -saturationLevelLimitDb) level.textContent = `<-${saturationLevelLimitDb} dB`;
+      else level.textContent = `${held >= 0 ? '+' : ''}${held.toFixed(1)} dB`;
+    }
+  }
+
+  // ------------------------------------------------------------------
+  // Sidechain Filter
+  // ------------------------------------------------------------------
+  initializeSidechainTools() {
+    this.sidechainCanvas = this.querySelector('#sidechainPlot');
+    if (this.sidechainCanvas) this.sidechainCtx = this.sidechainCanvas.getContext('2d');
+    const listen = this.querySelector('#sidechainListen');
+    if (listen) listen.addEventListener('click', () => this.setSidechainListen(!this.sidechainListening));
+  }
+
+  /** What the detector is hearing: whether it is filtered, and from where */
+  getSidechainFilter() {
+    const button = this.querySelector('.toggle-button[data-param="sidechainFilterEnableIn"]');
+    const knob = this.knobs.sidechainFreqIn;
+    return {
+      enabled: !!button && button.classList.contains('active'),
+      frequency: knob ? knob.targetValue : 200
+    };
+  }
+
+  /**
+   * Redraws the plot and keeps an audition in step with the filter. The
+   * page rebuilds its filter for every announcement, so a drag is only
+   * announced once it settles, and not at all if it ends where it began.
+   */
+  sidechainChanged() {
+    this.drawSidechainPlot();
+    if (!this.sidechainListening) return;
+    clearTimeout(this.sidechainListenTimer);
+    this.sidechainListenTimer = setTimeout(() => {
+      this.sidechainListenTimer = null;
+      const { enabled, frequency } = this.getSidechainFilter();
+      const announced = this.sidechainAnnounced;
+      if (!this.sidechainListening || (announced && announced.enabled === enabled
+        && announced.frequency === frequency)) return;
+      this.announceSidechainListen(true);
+    }, sidechainListenSettleMs);
+  }
+
+  /**
+   * Auditions the sidechain. The patch has no output for its detector
+   * signal, so the GUI asks the page to play one: it dispatches a bubbling,
+   * cancelable "sidechainlisten" event whose detail is
+   *   { listening, filterEnabled, frequency }
+   * and again whenever the filter changes while listening. A page that can
+   * do it (for instance by playing the plugin's input, after inputGainIn,
+   * through a first-order high-pass in place of its output) calls
+   * preventDefault(); if none does, listen mode stays off.
+   */
+  setSidechainListen(listening) {
+    if (listening === this.sidechainListening) return;
+    clearTimeout(this.sidechainListenTimer);
+    this.sidechainListenTimer = null;
+    const button = this.querySelector('#sidechainListen');
+    if (listening && !this.announceSidechainListen(true)) {
+      console.warn('Nothing on this page can audition the sidechain');
+      if (button) {
+        button.disabled = true;
+        button.title = 'This host cannot play the sidechain signal';
+      }
+      return;
+    }
+    if (!listening) this.announceSidechainListen(false);
+    this.sidechainListening = listening;
+    if (button) {
+      button.classList.toggle('active', listening);
+      button.setAttribute('aria-pressed', listening ? 'true' : 'false');
+    }
+  }
+
+  /** Returns true if something took charge of the audition */
+  announceSidechainListen(listening) {
+    const { enabled, frequency } = this.getSidechainFilter();
+    this.sidechainAnnounced = listening ? { enabled, frequency } : null;
+    const event = new CustomEvent('sidechainlisten', {
+      bubbles: true,
+      cancelable: true,
+      detail: { listening, filterEnabled: enabled, frequency }
+    });
+    return !this.dispatchEvent(event);
+  }
+
+  resizeSidechainCanvas() {
+    const canvas = this.sidechainCanvas;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * dpr;
+    canvas.height = canvas.offsetHeight * dpr;
+    this.sidechainCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  }
+
+  /** The filter's magnitude response on a log frequency axis */
+  drawSidechainPlot() {
+    const canvas = this.sidechainCanvas;
+    const ctx = this.sidechainCtx;
+    if (!canvas || !ctx) return;
+    const w = canvas.offsetWidth;
+    const h = canvas.offsetHeight;
+    if (!w || !h) return;
+    const { enabled, frequency } = this.getSidechainFilter();
+    const logMin = Math.log(sidechainPlotHz.min);
+    const logRange = Math.log(sidechainPlotHz.max) - logMin;
+    const toX = hz => ((Math.log(hz) - logMin) / logRange) * w;
+    const toY = db => 2 + (Math.max(sidechainPlotFloorDb, db) / sidechainPlotFloorDb) * (h - 4);
+
+    ctx.fillStyle = colorString(this.colors.panelColor);
+    ctx.fillRect(0, 0, w, h);
+
+    // Decade lines at 100 Hz, 1 kHz and 10 kHz
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    [100, 1000, 10000].forEach(hz => {
+      ctx.moveTo(Math.round(toX(hz)) + 0.5, 0);
+      ctx.lineTo(Math.round(toX(hz)) + 0.5, h);
+    });
+    ctx.stroke();
+
+    // Cutoff marker
+    if (enabled) {
+      ctx.strokeStyle = colorString(this.colors.yellowColor, 0.6);
+      ctx.setLineDash([2, 2]);
+      ctx.beginPath();
+      ctx.moveTo(toX(frequency), 0);
+      ctx.lineTo(toX(frequency), h);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    // With the filter off the detector hears everything
+    ctx.strokeStyle = enabled ? colorString(this.colors.greenColor) : '#666';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    for (let x = 0; x <= w; x++) {
+      const hz = Math.exp(logMin + (x / w) * logRange);
+      const y = toY(enabled ? sidechainFilterResponseDb(hz, frequency) : 0);
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+
+    const cutoff = frequency >= 1000 ? `${(frequency / 1000).toFixed(1)} kHz` : `${Math.round(frequency)} Hz`;
+    canvas.setAttribute('aria-label', enabled
+      ? `Sidechain filter response: high-pass, 6 dB per octave below ${cutoff}`
+      : 'Sidechain filter response: off, the detector hears the full range');
+  }
+
   // ------------------------------------------------------------------
   // Meter-LED Coloring
   // ------------------------------------------------------------------
@@ -556,14 +2816,22 @@ class UpperCompGUI extends HTMLElement {
       }
 
       // Update numeric readout
+      const meter = this.meters[param];
+      const mode = meterModes[meter.mode] || meterModes.peak;
       if (valEl) {
-        valEl.textContent = `${meterValue.toFixed(1)} dB`;
+        valEl.textContent = `${meterValue <= meterFloorDb ? '-inf' : meterValue.toFixed(1)} ${param === 'gainReduction' ? 'dB' : mode.unit}`;
+        valEl.title = param === 'gainReduction' ? '' : mode.title;
       }
+      const clipEl = meterEl.parentElement.querySelector('.clip-indicator');
+      if (clipEl) clipEl.classList.toggle('clipped', !!meter.clipped);
 
       // LED activation
       const total = dots.length;
       const rng = Math.abs(cfg.maxDb - cfg.minDb);
       const dbStep = rng / (total - 1);
+      const holdIndex = meter.hold !== undefined && meter.hold > cfg.minDb
+        ? Math.min(total - 1, Math.round((meter.hold - cfg.minDb) / dbStep))
+        : -1;
       for (let i = 0; i < total; i++) {
         const dotDb = cfg.ascending
           ? cfg.minDb + i * dbStep
@@ -593,13 +2861,14 @@ class UpperCompGUI extends HTMLElement {
 
         // Choose color
         const activeColor = (param === 'gainReduction')
-          ? redColor
-          : (dotDb < -12 ? greenColor : (dotDb < 0 ? yellowColor : redColor));
+          ? this.colors.redColor
+          : (dotDb < -12 ? this.colors.greenColor : (dotDb < 0 ? this.colors.yellowColor : this.colors.redColor));
 
         // Apply color & glow
-        const color = lerpColor(offColor, activeColor, intensity);
+        const color = lerpColor(this.colors.offColor, activeColor, intensity);
         dots[i].style.background = color;
         dots[i].classList.toggle('active', intensity > 0);
+        dots[i].classList.toggle('peak-hold', i === holdIndex);
         dots[i].style.boxShadow =
           (dots[i].classList.contains('marker-led') && intensity > 0.5)
             ? '0 0 4px rgba(255,255,255,0.3)'
@@ -609,38 +2878,78 @@ class UpperCompGUI extends HTMLElement {
   }
 
   // ------------------------------------------------------------------
-  // Position the Saturation LED
+  // Theme and layout
   // ------------------------------------------------------------------
-  positionSaturationLed() {
-    const satWrapper = this.querySelector('#satWrapper');
-    const satMixWrapper = this.querySelector('#satMixWrapper');
-    const ledWrapper = this.querySelector('#saturationLedWrapper');
-    const knobsSection = this.querySelector('.knobs-section');
-    if (satWrapper && satMixWrapper && ledWrapper && knobsSection) {
-      const satRect = satWrapper.getBoundingClientRect();
-      const satMixRect = satMixWrapper.getBoundingClientRect();
-      const containerRect = knobsSection.getBoundingClientRect();
-      const gap = satMixRect.left - satRect.right;
-      const ledCenterX = satRect.right + gap / 2;
-      const leftPos = ledCenterX - containerRect.left - (ledWrapper.offsetWidth / 2);
-      const topPos = satRect.top - containerRect.top + (satRect.height / 2) - (ledWrapper.offsetHeight / 2);
-      ledWrapper.style.left = `${leftPos}px`;
-      ledWrapper.style.top = `${topPos}px`;
+  /**
+   * Restyles the GUI. Takes any of the defaultTheme keys, each as
+   * [r, g, b] or a CSS color string, e.g. { greenColor: '#00bcd4' }.
+   * Keys left out keep their current color.
+   */
+  setTheme(theme) {
+    Object.entries(theme || {}).forEach(([key, value]) => {
+      if (!(key in defaultTheme)) return;
+      const color = parseThemeColor(value);
+      if (color) this.style.setProperty(themePropertyName(key), color.join(', '));
+    });
+    this.readTheme();
+    this.drawSidechainPlot();
+  }
+
+  /** The colors in use, as [r, g, b] */
+  getTheme() {
+    return { ...this.colors };
+  }
+
+  /** Picks up the theme's custom properties, including any set by the page */
+  readTheme() {
+    const style = getComputedStyle(this);
+    Object.keys(defaultTheme).forEach(key => {
+      const color = parseThemeColor(style.getPropertyValue(themePropertyName(key)));
+      this.colors[key] = color || defaultTheme[key];
+    });
+  }
+
+  /**
+   * Chooses compact, regular or large layout from the element's width and
+   * resizes the canvases to match. The CSS does the rest from data-layout.
+   */
+  updateLayout() {
+    const width = this.offsetWidth;
+    if (!width) return;
+    const layout = width < compactLayoutMaxWidth ? 'compact'
+      : (width >= largeLayoutMinWidth ? 'large' : 'regular');
+    if (layout !== this.layout) {
+      this.layout = layout;
+      this.dataset.layout = layout;
     }
+    this.resizeWaveformCanvas();
+    this.resizeSidechainCanvas();
+    this.drawSidechainPlot();
+    if (this.view === 'harmonics') {
+      this.resizeHarmonicCanvas();
+      this.drawHarmonics();
+    }
+    this.drawVisualization();
   }
 
   // ------------------------------------------------------------------
   // Main GUI HTML
   // ------------------------------------------------------------------
   getHTML() {
-    const makeDots = () => '<div class="meter-dot"></div>'.repeat(24);
+    const makeDots = () => '<div class="meter-dot"></div>'.repeat(meterDotCount);
     return `
       <style>
       @import url('https://fonts.googleapis.com/css2?family=Audiowide&family=JetBrains+Mono:wght@400;500&family=Inter:wght@400;500;600&display=swap');
-      :host {
+      /* Theme and sizing defaults. :where() keeps these at zero specificity so
+         any rule on the page (upper-comp-gui { --green-color: 0, 188, 212; })
+         overrides them. */
+      :where(upper-comp-gui) {
+        ${Object.entries(defaultTheme).map(([key, color]) => `${themePropertyName(key)}: ${color.join(', ')};`).join('\n        ')}
+        --knob-size: 55px;
+        --knob-gap: 20px;
+        --meter-dot-max-size: 10px;
         display: block;
         width: 100%;
-        max-width: 1200px;
       }
       #compressor {
         position: relative;
@@ -648,7 +2957,8 @@ class UpperCompGUI extends HTMLElement {
         /* Keep original wide aspect ratio: 3:1 */
         aspect-ratio: 3 / 1;
         max-width: 1200px;
-        background: linear-gradient(145deg, #262626, #1e1e1e);
+        background: linear-gradient(145deg, rgb(var(--background-color)),
+                    color-mix(in srgb, rgb(var(--background-color)) 80%, black));
         border-radius: 12px;
         box-shadow: 0 10px 30px rgba(0,0,0,0.8),
                     inset 0 1px 1px rgba(255,255,255,0.1);
@@ -669,20 +2979,56 @@ class UpperCompGUI extends HTMLElement {
         flex: 3;
         position: relative;
       }
+      .preset-bar {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        gap: 4px;
+        height: 22px;
+      }
+      .preset-bar select {
+        width: 130px;
+        height: 20px;
+        background: rgb(var(--panel-color));
+        color: rgb(var(--text-color));
+        border: 1px solid #333;
+        border-radius: 3px;
+        font-size: 10px;
+        font-family: 'Inter', sans-serif;
+      }
+      .preset-bar #presetMenu {
+        width: 64px;
+        font-size: 8px;
+        letter-spacing: 0.5px;
+      }
+      .preset-bar .toggle-button {
+        padding: 4px 7px;
+        font-size: 8px;
+      }
+      .preset-modified {
+        visibility: hidden;
+        color: rgb(var(--yellow-color));
+        font-size: 10px;
+      }
+      .preset-bar.modified .preset-modified {
+        visibility: visible;
+      }
       .knob-row {
         display: flex;
-        gap: 20px;
+        gap: var(--knob-gap);
         justify-content: center;
       }
       .knob-wrapper {
         width: 80px;
         text-align: center;
       }
-      #satWrapper { }
+      #satWrapper {
+        position: relative;
+      }
       #satMixWrapper { }
       .knob {
-        width: 55px;
-        height: 55px;
+        width: var(--knob-size);
+        height: var(--knob-size);
         cursor: pointer;
         filter: brightness(0.85) contrast(1.2)
                 drop-shadow(0 4px 8px rgba(0,0,0,0.8));
@@ -692,6 +3038,32 @@ class UpperCompGUI extends HTMLElement {
         filter: brightness(1) contrast(1.3)
                 drop-shadow(0 6px 12px rgba(0,0,0,0.9));
       }
+      .knob.midi-learning,
+      .toggle-button.midi-learning {
+        outline: 2px dashed rgb(var(--yellow-color));
+        outline-offset: 3px;
+        animation: midi-learn-blink 0.8s steps(2) infinite;
+      }
+      .knob.midi-learning {
+        border-radius: 50%;
+      }
+      @keyframes midi-learn-blink {
+        50% { outline-color: transparent; }
+      }
+      /* Keyboard focus rings; the knob's ring is round so it can rotate with it */
+      .knob:focus-visible {
+        outline: 2px solid rgb(var(--green-color));
+        outline-offset: 3px;
+        border-radius: 50%;
+      }
+      .toggle-button:focus-visible,
+      .view-tab:focus-visible,
+      #presetSelect:focus-visible,
+      #presetMenu:focus-visible,
+      #harmonicCanvas:focus-visible {
+        outline: 2px solid rgb(var(--green-color));
+        outline-offset: 2px;
+      }
       .knob-label {
         font-size: 10px;
         color: #bbb;
@@ -707,6 +3079,18 @@ class UpperCompGUI extends HTMLElement {
         font-family: 'JetBrains Mono', monospace;
         margin-top: 3px;
         font-weight: 500;
+        cursor: text;
+      }
+      .knob-value-input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 0 2px;
+        background: #111;
+        color: rgb(var(--text-color));
+        border: 1px solid rgb(var(--accent-color));
+        border-radius: 2px;
+        font: inherit;
+        text-align: center;
       }
       .toggle-switches {
         display: flex;
@@ -715,10 +3099,22 @@ class UpperCompGUI extends HTMLElement {
         margin-top: 8px;
         justify-content: center;
       }
+      .sidechain-tools {
+        display: flex;
+        flex-direction: column;
+        align-items: stretch;
+        gap: 4px;
+      }
+      #sidechainPlot {
+        display: block;
+        width: 90px;
+        height: 36px;
+        border-radius: 3px;
+      }
       .toggle-button {
         padding: 5px 10px;
         border: none;
-        background: #1a1a1a;
+        background: rgb(var(--panel-color));
         color: #888;
         font-size: 9px;
         cursor: pointer;
@@ -734,11 +3130,11 @@ class UpperCompGUI extends HTMLElement {
         color: #bbb;
       }
       .toggle-button.active {
-        background: #2E7D32;
+        background: rgb(var(--accent-color));
         color: #fff;
         box-shadow:
           inset 0 1px 1px rgba(255,255,255,0.2),
-          0 0 4px rgba(76,175,80,0.4);
+          0 0 4px rgba(var(--green-color), 0.4);
       }
       .visualization-section {
         display: flex;
@@ -749,7 +3145,7 @@ class UpperCompGUI extends HTMLElement {
         flex: 4;
       }
       .visualization-box {
-        background: linear-gradient(to bottom, #1a1a1a, #222);
+        background: linear-gradient(to bottom, rgb(var(--panel-color)), #222);
         border-radius: 8px;
         border: 1px solid #333;
         box-shadow: inset 0 0 20px rgba(0,0,0,0.4);
@@ -759,21 +3155,162 @@ class UpperCompGUI extends HTMLElement {
         display: flex;
         flex-direction: column;
         align-items: center;
+        position: relative;
       }
       #title {
         font-family: 'Audiowide', sans-serif;
         font-size: 20px;
-        color: #ddd;
+        color: rgb(var(--text-color));
         text-align: center;
         margin: 0;
         margin-bottom: 8px;
-        text-shadow: 0 0 10px rgba(76,175,80,0.3);
+        text-shadow: 0 0 10px rgba(var(--green-color), 0.3);
         letter-spacing: 3px;
       }
       #waveform {
         width: 100%;
         height: 100%;
       }
+      .view-tabs {
+        position: absolute;
+        top: 10px;
+        left: 10px;
+        display: flex;
+        gap: 4px;
+      }
+      .view-tabs-end {
+        position: absolute;
+        top: 10px;
+        right: 10px;
+        display: flex;
+        gap: 8px;
+      }
+      .history-windows {
+        display: flex;
+        gap: 4px;
+      }
+      .history-windows[hidden] {
+        display: none;
+      }
+      .view-tab {
+        padding: 3px 6px;
+        border: none;
+        background: rgb(var(--panel-color));
+        color: #888;
+        font-size: 8px;
+        cursor: pointer;
+        border-radius: 3px;
+        font-weight: 500;
+        letter-spacing: 0.5px;
+        font-family: 'Inter', sans-serif;
+        box-shadow: 0 2px 4px rgba(0,0,0,0.4),
+                    inset 0 1px 1px rgba(255,255,255,0.1);
+      }
+      .view-tab:hover {
+        color: #bbb;
+      }
+      .view-tab.active {
+        background: rgb(var(--accent-color));
+        color: #fff;
+      }
+      .harmonic-editor {
+        position: absolute;
+        top: 44px;
+        left: 8px;
+        right: 8px;
+        bottom: 8px;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        background: rgb(var(--panel-color));
+        border-radius: 4px;
+      }
+      .harmonic-editor[hidden] {
+        display: none;
+      }
+      #harmonicCanvas {
+        flex: 1;
+        min-height: 0;
+        width: 100%;
+        cursor: crosshair;
+        touch-action: none;
+      }
+      .harmonic-controls {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 0 6px 4px;
+      }
+      .harmonic-shapes {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+      }
+      .harmonic-shapes .toggle-button {
+        padding: 4px 7px;
+        font-size: 8px;
+      }
+      .undo-panel {
+        position: absolute;
+        top: 44px;
+        left: 8px;
+        right: 8px;
+        bottom: 8px;
+        display: flex;
+        gap: 8px;
+        padding: 6px;
+        box-sizing: border-box;
+        background: rgb(var(--panel-color));
+        border-radius: 4px;
+      }
+      .undo-panel[hidden] {
+        display: none;
+      }
+      #undoList {
+        flex: 1;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+        overflow-y: auto;
+        font-family: 'JetBrains Mono', monospace;
+        font-size: 10px;
+        color: #bbb;
+      }
+      #undoList li {
+        padding: 3px 6px;
+        border-radius: 2px;
+        cursor: pointer;
+      }
+      #undoList li:hover {
+        background: #262626;
+      }
+      #undoList li.current {
+        background: rgb(var(--accent-color));
+        color: #fff;
+      }
+      #undoList li.undone {
+        color: #555;
+      }
+      .undo-controls {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+      .toggle-button:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+      .knob.knob-small {
+        width: 32px;
+        height: 32px;
+      }
+      .harmonic-controls .knob-wrapper {
+        width: 64px;
+      }
+      .harmonic-controls .knob-label {
+        margin-top: 2px;
+      }
       .meters-section {
         display: flex;
         flex-direction: column;
@@ -782,10 +3319,15 @@ class UpperCompGUI extends HTMLElement {
         flex: 2;
         margin-top: -16px;
       }
+      /* The dots shrink to fit the meter's width, up to --meter-dot-max-size */
       .meter-block {
         display: flex;
         flex-direction: column;
         margin-bottom: 6px;
+        container-type: inline-size;
+        --meter-dot-count: ${meterDotCount};
+        --meter-dot-size: min(var(--meter-dot-max-size),
+                              calc((100cqw - 6px) / var(--meter-dot-count) - 2px));
       }
       .meter-header {
         display: flex;
@@ -793,6 +3335,36 @@ class UpperCompGUI extends HTMLElement {
         align-items: center;
         margin-bottom: 6px;
       }
+      .meter-modes {
+        display: flex;
+        gap: 4px;
+        justify-content: flex-end;
+      }
+      .meter-readout {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+      }
+      .clip-indicator {
+        padding: 1px 4px;
+        border: none;
+        border-radius: 2px;
+        background: rgb(var(--off-color));
+        color: #666;
+        font-size: 7px;
+        font-weight: 600;
+        letter-spacing: 0.5px;
+        font-family: 'Inter', sans-serif;
+        cursor: pointer;
+      }
+      .clip-indicator.clipped {
+        background: rgb(var(--red-color));
+        color: #fff;
+        box-shadow: 0 0 4px rgba(var(--red-color), 0.8);
+      }
+      .meter-dot.peak-hold {
+        border-color: rgba(255,255,255,0.8);
+      }
       .meter-label {
         font-size: 10px;
         color: #bbb;
@@ -808,7 +3380,8 @@ class UpperCompGUI extends HTMLElement {
       }
       .meter-dots {
         display: flex;
-        gap: 3px;
+        justify-content: space-between;
+        align-items: center;
         padding: 3px;
         background: rgba(0,0,0,0.2);
         border-radius: 3px;
@@ -817,24 +3390,23 @@ class UpperCompGUI extends HTMLElement {
         height: 16px;
       }
       .meter-dot {
-        width: 10px;
-        height: 10px;
+        flex: none;
+        box-sizing: border-box;
+        width: var(--meter-dot-size);
+        height: var(--meter-dot-size);
         border-radius: 50%;
         background: #333;
         border: 1px solid #222;
         box-shadow: inset 0 1px 2px rgba(0,0,0,0.3);
       }
       .meter-scale {
-        position: absolute;
-        left: 4px;
-        right: 4px;
-        bottom: -18px;
-        height: 14px;
-        display: flex;
-        justify-content: space-between;
+        position: relative;
+        margin: 3px 3px 0;
+        height: 12px;
       }
       .scale-marker {
         position: absolute;
+        white-space: nowrap;
         color: #999;
         font-size: 8px;
         font-family: 'JetBrains Mono', monospace;
@@ -842,18 +3414,18 @@ class UpperCompGUI extends HTMLElement {
         transform: translateX(-50%);
       }
       .meter-dot.active {
-        background: #4CAF50;
-        border-color: #2E7D32;
+        background: rgb(var(--green-color));
+        border-color: rgb(var(--accent-color));
         box-shadow:
           inset 0 1px 2px rgba(255,255,255,0.3),
-          0 0 4px rgba(76,175,80,0.8);
+          0 0 4px rgba(var(--green-color), 0.8);
       }
       #grMeter .meter-dot.active {
-        background: #F44336;
-        border-color: #C62828;
+        background: rgb(var(--red-color));
+        border-color: rgba(var(--red-color), 0.6);
         box-shadow:
           inset 0 1px 2px rgba(255,255,255,0.3),
-          0 0 4px rgba(244,67,54,0.8);
+          0 0 4px rgba(var(--red-color), 0.8);
       }
       .logo-container {
         position: absolute;
@@ -870,27 +3442,138 @@ class UpperCompGUI extends HTMLElement {
         height: auto;
       }
       /* --- LED Styles --- */
+      /* Centered in the gap between the Saturation and Saturation Mix knobs,
+         level with the middle of the knob */
       #saturationLedWrapper {
         position: absolute;
-        width: 30px;
-        height: 14px;
-        pointer-events: none;
+        left: calc(100% + var(--knob-gap) / 2);
+        top: calc(var(--knob-size) / 2);
+        transform: translate(-50%, -50%);
       }
+      /* --led-intensity (0..1) is set from the post-saturation level */
       #saturationLed {
+        --led-intensity: 0;
+        position: relative;
         width: 14px;
         height: 14px;
         border-radius: 50%;
         background-color: #444;
+        cursor: pointer;
+      }
+      #saturationLed::after {
+        content: '';
+        position: absolute;
+        inset: 0;
+        border-radius: 50%;
+        background-color: rgb(var(--led-color));
+        opacity: var(--led-intensity);
+        box-shadow: 0 0 calc(12px * var(--led-intensity)) calc(4px * var(--led-intensity))
+                    rgb(var(--led-color));
+      }
+      #saturationLed:focus-visible {
+        outline: 2px solid rgb(var(--green-color));
+        outline-offset: 3px;
+      }
+      #saturationLevel {
+        position: absolute;
+        top: calc(100% + 4px);
+        left: 50%;
+        transform: translateX(-50%);
+        font-size: 9px;
+        white-space: nowrap;
+        color: rgb(var(--text-color));
+        pointer-events: none;
+      }
+      /* --- Layout variants (data-layout is set from the element's width) --- */
+      upper-comp-gui[data-layout="compact"] {
+        --knob-size: 44px;
+        --knob-gap: 10px;
+      }
+      upper-comp-gui[data-layout="compact"] #compressor {
+        aspect-ratio: auto;
+        padding: 10px;
+        box-sizing: border-box;
+      }
+      upper-comp-gui[data-layout="compact"] .sections-container {
+        flex-direction: column;
+        gap: 10px;
+      }
+      upper-comp-gui[data-layout="compact"] .knob-row {
+        flex-wrap: wrap;
+      }
+      upper-comp-gui[data-layout="compact"] .knob-wrapper {
+        width: 68px;
+      }
+      upper-comp-gui[data-layout="compact"] .toggle-switches {
+        flex-wrap: wrap;
+      }
+      upper-comp-gui[data-layout="compact"] .visualization-section {
+        flex: none;
+        height: 260px;
+        padding: 0;
+      }
+      upper-comp-gui[data-layout="compact"] .meters-section {
+        margin-top: 0;
+        gap: 8px;
+      }
+      upper-comp-gui[data-layout="compact"] .logo-container {
+        position: static;
+        align-self: center;
+      }
+      upper-comp-gui[data-layout="large"] {
+        --knob-size: 76px;
+        --knob-gap: 28px;
+        --meter-dot-max-size: 14px;
       }
-      #saturationLed.on {
-        background-color: #FF0000;
-        box-shadow: 0 0 12px 4px rgba(255, 0, 0, 1.0);
+      upper-comp-gui[data-layout="large"] #compressor {
+        max-width: none;
+      }
+      upper-comp-gui[data-layout="large"] .knob-wrapper {
+        width: 108px;
+      }
+      upper-comp-gui[data-layout="large"] .knob-label {
+        font-size: 13px;
+      }
+      upper-comp-gui[data-layout="large"] .knob-value,
+      upper-comp-gui[data-layout="large"] .toggle-button,
+      upper-comp-gui[data-layout="large"] .view-tab {
+        font-size: 11px;
+      }
+      upper-comp-gui[data-layout="large"] .meter-label,
+      upper-comp-gui[data-layout="large"] .meter-value {
+        font-size: 13px;
+      }
+      upper-comp-gui[data-layout="large"] .scale-marker {
+        font-size: 10px;
+      }
+      upper-comp-gui[data-layout="large"] #title {
+        font-size: 28px;
+      }
+      upper-comp-gui[data-layout="large"] .harmonic-editor,
+      upper-comp-gui[data-layout="large"] .undo-panel {
+        top: 56px;
       }
       </style>
       <div id="compressor">
         <div class="sections-container">
           <!-- Knobs Section -->
           <div class="knobs-section">
+            <!-- Preset browser -->
+            <div class="preset-bar">
+              <button class="toggle-button" id="presetPrev" title="Previous preset" aria-label="Previous preset">&#9664;</button>
+              <select id="presetSelect" title="Presets" aria-label="Preset"></select>
+              <button class="toggle-button" id="presetNext" title="Next preset" aria-label="Next preset">&#9654;</button>
+              <span class="preset-modified" title="Changed since the preset was loaded">&#9679;</span>
+              <button class="toggle-button" id="presetSave" title="Save the current settings as a user preset">SAVE</button>
+              <select id="presetMenu" title="More preset actions" aria-label="More preset actions">
+                <option value="">MORE&hellip;</option>
+                <option value="rename">Rename&hellip;</option>
+                <option value="delete">Delete&hellip;</option>
+                <option value="import">Import JSON&hellip;</option>
+                <option value="export">Export JSON</option>
+              </select>
+              <input type="file" id="presetImportInput" accept=".json,application/json" hidden>
+            </div>
             <div class="knob-row">
               <!-- drive (Saturation) -->
               <div class="knob-wrapper" id="satWrapper">
@@ -899,6 +3582,11 @@ class UpperCompGUI extends HTMLElement {
                      data-param="drive" data-min="0.1" data-max="10" data-value="1.0">
                 <div class="knob-label">Saturation</div>
                 <div class="knob-value">1.0</div>
+                <!-- LED for Saturation -->
+                <div id="saturationLedWrapper" class="led-wrapper">
+                  <div id="saturationLed"></div>
+                  <div id="saturationLevel" hidden></div>
+                </div>
               </div>
               <!-- satMixIn (Saturation Mix) -->
               <div class="knob-wrapper" id="satMixWrapper">
@@ -933,10 +3621,6 @@ class UpperCompGUI extends HTMLElement {
                 <div class="knob-value">-28.0 dB</div>
               </div>
             </div>
-            <!-- LED for Saturation -->
-            <div id="saturationLedWrapper" class="led-wrapper">
-              <div id="saturationLed"></div>
-            </div>
             <div class="knob-row">
               <!-- lookaheadMsIn -->
               <div class="knob-wrapper">
@@ -976,7 +3660,7 @@ class UpperCompGUI extends HTMLElement {
                      src="https://rawcdn.githack.com/gabefryaudio/Uppercomp/5713865/White%20Knob.svg"
                      data-param="sidechainFreqIn" data-min="20" data-max="20000" data-value="200.0">
                 <div class="knob-label">Sidechain Freq</div>
-                <div class="knob-value">200.0 Hz</div>
+                <div class="knob-value">200 Hz</div>
               </div>
             </div>
             <div class="toggle-switches">
@@ -993,21 +3677,78 @@ class UpperCompGUI extends HTMLElement {
               <button class="toggle-button" data-param="sidechainFilterEnableIn">
                 SIDECHAIN FILTER ENABLED
               </button>
+              <!-- What the detector hears -->
+              <div class="sidechain-tools">
+                <canvas id="sidechainPlot" role="img" aria-label="Sidechain filter response"
+                        title="Sidechain filter response, 20 Hz to 20 kHz"></canvas>
+                <button class="toggle-button" id="sidechainListen" aria-pressed="false"
+                        title="Hear what the compressor's detector hears">SC LISTEN</button>
+              </div>
             </div>
           </div>
           <!-- Visualization Section -->
           <div class="visualization-section">
             <div class="visualization-box">
               <h1 id="title">UPPERCOMP</h1>
+              <div class="view-tabs" role="group" aria-label="Display">
+                <button class="view-tab active" data-view="levels" aria-pressed="true">LEVELS</button>
+                <button class="view-tab" data-view="curve" aria-pressed="false">CURVE</button>
+                <button class="view-tab" data-view="harmonics" aria-pressed="false">HARMONICS</button>
+              </div>
+              <!-- Right-hand side of the title row, clear of the title -->
+              <div class="view-tabs-end">
+                <div class="history-windows" role="group" aria-label="History window">
+                  ${historyWindowsSeconds.map(seconds => `
+                  <button class="view-tab${seconds === this.historySeconds ? ' active' : ''}" data-seconds="${seconds}"
+                          aria-pressed="${seconds === this.historySeconds}" aria-label="${seconds} seconds">${seconds}s</button>`).join('')}
+                </div>
+                <button class="view-tab" data-view="history" aria-pressed="false" title="Undo history">HISTORY</button>
+              </div>
               <canvas id="waveform"></canvas>
+              <!-- Undo history: click a step to go back (or forward) to it -->
+              <div class="undo-panel" id="undoPanel" hidden>
+                <ol id="undoList" aria-label="Undo history"></ol>
+                <div class="undo-controls">
+                  <button class="toggle-button" id="undoButton" title="Undo (Ctrl+Z)" disabled>UNDO</button>
+                  <button class="toggle-button" id="redoButton" title="Redo (Ctrl+Shift+Z)" disabled>REDO</button>
+                </div>
+              </div>
+              <!-- Harmonic editor: one bar per harmonic1_dB..harmonic20_dB -->
+              <div class="harmonic-editor" id="harmonicEditor" hidden>
+                <canvas id="harmonicCanvas" tabindex="0" role="slider" aria-label="Harmonic levels"></canvas>
+                <div class="harmonic-controls">
+                  <div class="harmonic-shapes">
+                    <button class="toggle-button harmonic-shape" data-shape="default">DEFAULT</button>
+                    <button class="toggle-button harmonic-shape" data-shape="odd">ODD ONLY</button>
+                    <button class="toggle-button harmonic-shape" data-shape="even">EVEN ONLY</button>
+                    <button class="toggle-button harmonic-shape" data-shape="tape">TAPE</button>
+                    <button class="toggle-button harmonic-shape" data-shape="tube">TUBE</button>
+                  </div>
+                  <!-- output_gain_dB (saturation stage output) -->
+                  <div class="knob-wrapper">
+                    <img class="knob knob-small"
+                         src="https://rawcdn.githack.com/gabefryaudio/Uppercomp/5713865/White%20Knob.svg"
+                         data-param="output_gain_dB" data-min="-30" data-max="30" data-value="0.91">
+                    <div class="knob-label">Sat Output</div>
+                    <div class="knob-value">0.91 dB</div>
+                  </div>
+                </div>
+              </div>
             </div>
           </div>
           <!-- Meters Section -->
           <div class="meters-section">
+            <div class="meter-modes" role="group" aria-label="Meter mode">
+              ${Object.entries(meterModes).map(([mode, { label, title }]) => `
+              <button class="view-tab" data-meter-mode="${mode}" title="${title}" aria-pressed="false">${label}</button>`).join('')}
+            </div>
             <div class="meter-block">
               <div class="meter-header">
                 <span class="meter-label">Input Level</span>
-                <span class="meter-value">-36.0 dB</span>
+                <span class="meter-readout">
+                  <span class="meter-value">-36.0 dB</span>
+                  <button class="clip-indicator" data-meter="inputLevel" title="Clipped: click to reset">CLIP</button>
+                </span>
               </div>
               <div class="meter-dots" id="inputMeter">
                 ${makeDots()}
@@ -1027,7 +3768,10 @@ class UpperCompGUI extends HTMLElement {
             <div class="meter-block">
               <div class="meter-header">
                 <span class="meter-label">Output Level</span>
-                <span class="meter-value">-36.0 dB</span>
+                <span class="meter-readout">
+                  <span class="meter-value">-36.0 dB</span>
+                  <button class="clip-indicator" data-meter="outputLevel" title="Clipped: click to reset">CLIP</button>
+                </span>
               </div>
               <div class="meter-dots" id="outputMeter">
                 ${makeDots()}
@@ -0,0 +1,54 @@
+/**
+ * factory-presets.js
+ *
+ * Uppercomp's factory presets, shared by the plugin GUI's preset browser and
+ * the demo page's suggested presets so both load the same settings.
+ */
+
+/**
+ * Factory presets. Parameters that a preset leaves out go back to their
+ * defaults when it is loaded, so "Init" is simply an empty preset.
+ */
+export const factoryPresets = [
+  { name: 'Init', parameters: {} },
+  {
+    name: 'Kick Punch',
+    parameters: {
+      drive: 1.5, satMixIn: 1.0, inputGainIn: 0.0, ratioIn: 4.0, thresholdDbIn: -24.0,
+      attackMsIn: 30.0, releaseMsIn: 60.0, outputGainIn: 2.0, compMixIn: 1.0,
+      sidechainFilterEnableIn: false
+    }
+  },
+  {
+    name: 'Snare Crack',
+    parameters: {
+      drive: 2.5, satMixIn: 0.8, inputGainIn: 0.0, ratioIn: 5.0, thresholdDbIn: -26.0,
+      attackMsIn: 15.0, releaseMsIn: 80.0, outputGainIn: 3.0, compMixIn: 1.0,
+      sidechainFilterEnableIn: true, sidechainFreqIn: 150.0
+    }
+  },
+  {
+    name: 'Drum Bus Glue',
+    parameters: {
+      drive: 1.0, satMixIn: 0.6, inputGainIn: 0.0, ratioIn: 2.0, thresholdDbIn: -20.0,
+      attackMsIn: 30.0, releaseMsIn: 150.0, outputGainIn: 1.5, compMixIn: 1.0,
+      sidechainFilterEnableIn: true, sidechainFreqIn: 120.0
+    }
+  },
+  {
+    name: 'Bass Smash',
+    parameters: {
+      drive: 3.0, satMixIn: 0.7, inputGainIn: 0.0, ratioIn: 6.0, thresholdDbIn: -30.0,
+      attackMsIn: 10.0, releaseMsIn: 120.0, outputGainIn: 4.0, compMixIn: 1.0,
+      sidechainFilterEnableIn: false
+    }
+  }
+].map(({ name, parameters }) => ({
+  name,
+  state: { parameters: Object.entries(parameters).map(([name, value]) => ({ name, value })) }
+}));
+
+/** The factory preset with the given name, or null */
+export function findFactoryPreset(name) {
+  return factoryPresets.find(preset => preset.name === name) || null;
+}
@@ -129,7 +129,9 @@ export default class CmajModule extends WebAudioModule
     return createPatchViewHolder (this.patchConnection);
   }
 
-  destroyGui()
+  destroyGui (gui)
   {
+    // Detaching the holder lets the view remove its listeners from the patch
+    gui?.remove();
   }
 }
@@ -0,0 +1,112 @@
+/**
+ * offline-render.js
+ *
+ * Offline rendering of the Uppercomp patch for the demo's WAV export. This
+ * lives apart from cmaj_Uppercomp.js because that file is regenerated by the
+ * Cmajor toolkit whenever the patch changes.
+ */
+
+let processorClass = null;
+
+/**
+ * The generated HarmonicCompressorGraph class. cmaj_Uppercomp.js keeps it
+ * private, so this loads a copy of the module that also exports it, the
+ * same way the worklet helper serialises the class for the audio thread.
+ * Only the helper import needs rewriting, as a blob URL has no base to
+ * resolve it against.
+ */
+function loadProcessorClass() {
+  if (!processorClass) {
+    processorClass = (async () => {
+      const moduleURL = new URL('./cmaj_Uppercomp.js', import.meta.url);
+      const helperURL = new URL('./cmaj_api/cmaj-audio-worklet-helper.js', import.meta.url);
+      const response = await fetch(moduleURL);
+      if (!response.ok) throw new Error(`Could not load ${moduleURL}: ${response.status}`);
+      const source = (await response.text())
+        .replace('"./cmaj_api/cmaj-audio-worklet-helper.js"', JSON.stringify(helperURL.href))
+        + '\nexport { HarmonicCompressorGraph };\n';
+      const blobURL = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+      try {
+        return (await import(blobURL)).HarmonicCompressorGraph;
+      } finally {
+        URL.revokeObjectURL(blobURL);
+      }
+    })();
+    // Let a failed load be retried
+    processorClass.catch(() => { processorClass = null; });
+  }
+  return processorClass;
+}
+
+/**
+ * Renders audio through a private HarmonicCompressorGraph instance by calling
+ * advance() directly, so no AudioContext is needed and the result is identical
+ * to what the worklet produces for the same parameter values.
+ *
+ * The output is delayed by the lookahead time when lookahead is enabled, so the
+ * render runs on past the end of the input and drops that latency again.
+ *
+ * @param {Float32Array[]} channels - The input audio, one array per channel. Mono input is used for both sides.
+ * @param {number} sampleRate - The sample rate of the input audio.
+ * @param {Array<{name: string, value: *}>} [parameters] - Parameter values, as in the `parameters`
+ *        list passed to requestFullStoredState() callbacks. Missing parameters use their defaults.
+ * @param {function(number)} [onProgress] - Optional callback, called with the fraction rendered so far.
+ * @returns {Promise<Float32Array[]>} The processed stereo audio, the same length as the input.
+ */
+export async function renderUppercompOffline(channels, sampleRate, parameters = [], onProgress) {
+  const blockSize = 512;
+  const HarmonicCompressorGraph = await loadProcessorClass();
+  const processor = new HarmonicCompressorGraph();
+  await processor.initialise((Date.now() & 0x7fffffff) | 2, sampleRate);
+
+  const values = {};
+  for (const endpoint of processor.getInputEndpoints()) {
+    if (endpoint.purpose !== "parameter") continue;
+    const { annotation } = endpoint;
+    let value = parameters.find(({ name }) => name === endpoint.endpointID)?.value ?? annotation.init;
+    // Boolean endpoints have no init value: leave them at the patch's own default
+    if (value == null) continue;
+    // Snap and clamp the same way the worklet does for incoming values
+    if (typeof value === "number" && annotation.step != null)
+      value = Math.round(value / annotation.step) * annotation.step;
+    if (typeof value === "number" && annotation.min != null && annotation.max != null)
+      value = Math.min(Math.max(value, annotation.min), annotation.max);
+    values[endpoint.endpointID] = value;
+    processor[`sendInputEvent_${endpoint.endpointID}`](value);
+  }
+
+  // N.B. the patch starts with lookahead enabled
+  const latency = (values.enableLookAheadIn ?? true) ? Math.round(values.lookaheadMsIn * sampleRate / 1000) : 0;
+  const inputLength = channels[0].length;
+  const input = [channels[0], channels[1] ?? channels[0]];
+  const output = [new Float32Array(inputLength), new Float32Array(inputLength)];
+  const inBlock = [new Float32Array(blockSize), new Float32Array(blockSize)];
+  const outBlock = [new Float64Array(blockSize), new Float64Array(blockSize)];
+
+  for (let pos = 0; pos < inputLength + latency; pos += blockSize) {
+    for (let ch = 0; ch < 2; ch++) {
+      inBlock[ch].fill(0);
+      if (pos < inputLength) inBlock[ch].set(input[ch].subarray(pos, Math.min(pos + blockSize, inputLength)));
+    }
+    processor.setInputStreamFrames_in(inBlock, blockSize, 0);
+    processor.advance(blockSize);
+    processor.getOutputFrames_out(outBlock, blockSize, 0);
+
+    for (let i = 0; i < blockSize; i++) {
+      const dest = pos + i - latency;
+      if (dest < 0) continue;
+      if (dest >= inputLength) break;
+      output[0][dest] = outBlock[0][i];
+      output[1][dest] = outBlock[1][i];
+    }
+
+    // Yield now and then so that a long render doesn't freeze the page
+    if ((pos / blockSize) % 256 === 255) {
+      onProgress?.(Math.min(1, pos / (inputLength + latency)));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  onProgress?.(1);
+  return output;
+}